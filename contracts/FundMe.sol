@@ -13,24 +13,130 @@ import "./PriceConverter.sol";
 contract FundMe {
     using PriceConverter for uint256;
 
+    /// @notice None: no campaign, an open tip jar. Active: before the deadline.
+    /// Succeeded / Failed: after the deadline, with the goal met or not.
+    enum CampaignState {
+        None,
+        Active,
+        Succeeded,
+        Failed
+    }
+
+    /// @notice Queued: waiting for its delay or an executor. Executed and
+    /// Cancelled are final.
+    enum ActionStatus {
+        None,
+        Queued,
+        Executed,
+        Cancelled
+    }
+
+    /// @dev A call queued by `queueAction`: its selector, the whole ABI
+    /// encoded call, and the timestamp it can be executed from.
+    struct Action {
+        address proposer;
+        bytes4 selector;
+        bytes data;
+        uint256 eta;
+        ActionStatus status;
+    }
+
     /// @notice Minimum required funding in USD-equivalent Ether.
     uint256 public constant MINIMUM_USD = 50 * 10**18;
 
-    /// @dev The address of the contract owner who can withdraw funds.
-    address private immutable owner;
+    /// @notice Basis points making up a whole `splitPayout`.
+    uint256 public constant PAYOUT_BASIS_POINTS = 10000;
+
+    /// @notice Can call `withdraw`, `withdrawTo` and `splitPayout`.
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+
+    /// @notice Can call `updatePriceFeed`.
+    bytes32 public constant FEED_ADMIN_ROLE = keccak256("FEED_ADMIN_ROLE");
+
+    /// @notice Can `pause` and `unpause` funding.
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    /// @dev The contract owner, who holds every role and grants them to others.
+    address private owner;
 
-    /// @dev An array of addresses representing funders who have contributed to the contract.
+    /// @dev The address `transferOwnership` proposed, until it calls `acceptOwnership`.
+    address private pendingOwner;
+
+    /// @dev The accounts each role was granted to; the owner is not listed.
+    mapping(bytes32 => mapping(address => bool)) private roleMembers;
+
+    /// @dev Set by `pause`: `fund` reverts, refunds and withdrawals still work.
+    bool private paused;
+
+    /// @dev An array of addresses representing funders who have contributed to the contract, each listed once.
     address[] private funders;
 
-    /// @dev A mapping that associates each funder's address with the amount they've funded.
+    /// @dev Each funder's position in `funders` plus one; zero for addresses that are not listed.
+    mapping(address => uint256) private funderToIndex;
+
+    /// @dev A mapping that associates each funder's address with the amount they've funded, net of refunds.
     mapping(address => uint256) private addressToAmountFunded;
 
+    /// @dev Incremented by every withdrawal. Only the current epoch's contributions can be refunded.
+    uint256 private currentEpoch;
+
+    /// @dev The amount each address funded in each epoch, net of refunds.
+    mapping(uint256 => mapping(address => uint256))
+        private epochToAddressToAmountFunded;
+
+    /// @dev Everything ever funded, net of refunds, and everything the owner withdrew.
+    uint256 private totalRaised;
+    uint256 private totalWithdrawn;
+
     /// @dev An instance of the Chainlink Price Feed interface used for price conversion.
     AggregatorV3Interface private priceFeed;
 
+    /// @dev The oldest price feed answer, in seconds, that `fund` accepts.
+    uint256 private immutable priceFeedHeartbeat;
+
+    /// @dev Campaign goal in USD with 18 decimals, and the timestamp funding closes at; zero without a campaign.
+    uint256 private immutable goalUsd;
+    uint256 private immutable deadline;
+
+    /// @dev Seconds between queueing and executing an action; 0 disables the timelock.
+    uint256 private immutable timelockDelay;
+
+    /// @dev Every queued action, indexed by id.
+    Action[] private actions;
+
+    /// @dev The ids of the actions still queued, and each one's position plus one.
+    uint256[] private pendingActionIds;
+    mapping(uint256 => uint256) private pendingActionToIndex;
+
+    /// @dev USD value of each campaign contribution at the time it was made, per funder and in total.
+    mapping(address => uint256) private addressToUsdFunded;
+    uint256 private totalRaisedUsd;
+
     event FundContribution(address indexed funder, uint256 amount);
     event FundsWithdrawn(address indexed owner, uint256 amount);
+    event FundsPaidOut(address indexed recipient, uint256 amount);
     event PriceFeedUpdated(address previousPriceFeed, address newPriceFeed);
+    event Refunded(address indexed funder, uint256 amount);
+    event OwnershipTransferStarted(
+        address indexed previousOwner,
+        address indexed newOwner
+    );
+    event OwnershipTransferred(
+        address indexed previousOwner,
+        address indexed newOwner
+    );
+    event RoleGranted(bytes32 indexed role, address indexed account);
+    event RoleRevoked(bytes32 indexed role, address indexed account);
+    event ActionQueued(
+        uint256 indexed id,
+        address indexed proposer,
+        bytes data,
+        uint256 eta
+    );
+    event ActionExecuted(uint256 indexed id, address indexed executor);
+    event ActionCancelled(uint256 indexed id, address indexed canceller);
+    event Paused(address indexed account);
+    event Unpaused(address indexed account);
 
     // Modifiers
 
@@ -42,9 +148,57 @@ contract FundMe {
         _;
     }
 
-    constructor(address _priceFeed) {
+    /**
+     * @dev Modifier to allow only the owner and the accounts granted `role`.
+     */
+    modifier onlyRole(bytes32 role) {
+        require(hasRole(role, msg.sender), "You don't have the required role!");
+        _;
+    }
+
+    /**
+     * @dev Modifier for the calls a guardian can stop with `pause`.
+     */
+    modifier whenNotPaused() {
+        require(!paused, "Funding is paused");
+        _;
+    }
+
+    /**
+     * @dev Modifier for the calls that must go through `queueAction` when
+     * the timelock is enabled.
+     */
+    modifier notTimelocked() {
+        require(timelockDelay == 0, "Action must be queued");
+        _;
+    }
+
+    /**
+     * @param _priceFeed The ETH/USD price feed.
+     * @param _priceFeedHeartbeat The oldest acceptable price feed answer, in seconds.
+     * @param _goalUsd The campaign goal in USD with 18 decimals, ignored without a deadline.
+     * @param _deadline When campaign funding closes, or 0 for no campaign.
+     * @param _timelockDelay Seconds queued actions wait before they can be executed, or 0 to allow direct calls.
+     */
+    constructor(
+        address _priceFeed,
+        uint256 _priceFeedHeartbeat,
+        uint256 _goalUsd,
+        uint256 _deadline,
+        uint256 _timelockDelay
+    ) {
+        require(_priceFeedHeartbeat > 0, "Heartbeat must be positive");
+        require(
+            _deadline == 0 || _deadline > block.timestamp,
+            "Deadline must be in the future"
+        );
+        require(_deadline == 0 || _goalUsd > 0, "Goal must be positive");
         priceFeed = AggregatorV3Interface(_priceFeed);
+        priceFeedHeartbeat = _priceFeedHeartbeat;
         owner = msg.sender;
+        goalUsd = _deadline == 0 ? 0 : _goalUsd;
+        deadline = _deadline;
+        timelockDelay = _timelockDelay;
     }
 
     /**
@@ -53,34 +207,362 @@ contract FundMe {
      * @dev External functions use less gas than public ones.
      */
     function fund() external payable {
+        contribute();
+    }
+
+    /**
+     * @notice Plain Ether transfers fund the contract like `fund`, with the
+     * same minimum and bookkeeping.
+     * @dev Reads the price feed and writes storage, so it needs far more than
+     * the 2300 gas stipend of Solidity's `transfer` and `send`: contracts
+     * paying with those always revert, and must use `call` or `fund` instead.
+     */
+    receive() external payable {
+        contribute();
+    }
+
+    /**
+     * @notice Calls with unknown calldata fund the contract like `fund`.
+     * @dev Needs more than a 2300 gas stipend, like `receive`.
+     */
+    fallback() external payable {
+        contribute();
+    }
+
+    /**
+     * @notice Sends the caller back everything they funded since the last withdrawal.
+     * @dev Updates the records (and removes the caller from `funders` when
+     * nothing is left) before sending, so a reentrant call finds nothing to refund.
+     */
+    function refund() external {
+        uint256 amount = getRefundableAmount(msg.sender);
+        require(amount > 0, "Nothing to refund");
+        if (deadline != 0) {
+            // Campaigns never withdraw before they succeed, so this is
+            // everything the caller funded
+            totalRaisedUsd -= addressToUsdFunded[msg.sender];
+            addressToUsdFunded[msg.sender] = 0;
+        }
+        epochToAddressToAmountFunded[currentEpoch][msg.sender] = 0;
+        addressToAmountFunded[msg.sender] -= amount;
+        totalRaised -= amount;
+        if (addressToAmountFunded[msg.sender] == 0) {
+            removeFunder(msg.sender);
+        }
+
+        (bool success, ) = msg.sender.call{value: amount}("");
+        require(success, "Refund failed");
+
+        emit Refunded(msg.sender, amount);
+    }
+
+    /**
+     * @notice Sends `amount` to the caller, the owner or a treasurer, and
+     * starts a new epoch.
+     * @dev Contribution records are kept; only the current epoch's
+     * contributions stop being refundable.
+     */
+    function withdraw(uint256 amount)
+        public
+        onlyRole(TREASURER_ROLE)
+        notTimelocked
+    {
+        withdrawFunds(msg.sender, msg.sender, amount);
+    }
+
+    /**
+     * @notice Like `withdraw`, but sends `amount` to `recipient`.
+     * @param recipient The address to pay, e.g. a contributor or a multisig.
+     * @param amount The amount to withdraw.
+     */
+    function withdrawTo(address recipient, uint256 amount)
+        public
+        onlyRole(TREASURER_ROLE)
+        notTimelocked
+    {
+        withdrawFunds(msg.sender, recipient, amount);
+    }
+
+    /**
+     * @notice Withdraws `amount` in a single epoch and splits it between
+     * `recipients`, each getting its share in basis points.
+     * @dev The last recipient gets whatever rounding leaves, so exactly
+     * `amount` is sent. If any recipient rejects its share the whole
+     * payout reverts.
+     * @param recipients The addresses to pay.
+     * @param shares Each recipient's share, adding up to `PAYOUT_BASIS_POINTS`.
+     * @param amount The amount to withdraw.
+     */
+    function splitPayout(
+        address[] calldata recipients,
+        uint256[] calldata shares,
+        uint256 amount
+    ) public onlyRole(TREASURER_ROLE) notTimelocked {
+        splitFunds(msg.sender, recipients, shares, amount);
+    }
+
+    function updatePriceFeed(address newPriceFeedAddress)
+        public
+        onlyRole(FEED_ADMIN_ROLE)
+        notTimelocked
+    {
+        setPriceFeed(newPriceFeedAddress);
+    }
+
+    /**
+     * @notice Queues a call to `withdraw`, `withdrawTo`, `splitPayout` or
+     * `updatePriceFeed`, to be executed once the timelock delay has passed.
+     * @dev The caller needs the role the call itself requires. A queued
+     * `withdraw` pays the account that queued it.
+     * @param data The ABI encoded call, selector included.
+     * @return id The id of the queued action, see `getAction`.
+     */
+    function queueAction(bytes calldata data) external returns (uint256 id) {
+        require(data.length >= 4, "Unknown action");
+        bytes4 selector = bytes4(data[:4]);
         require(
-            msg.value.getConversionRate(priceFeed) >= MINIMUM_USD,
-            "You need to spend more ETH!"
+            hasRole(getActionRole(selector), msg.sender),
+            "You don't have the required role!"
         );
+        uint256 eta = block.timestamp + timelockDelay;
+        id = actions.length;
+        actions.push(
+            Action({
+                proposer: msg.sender,
+                selector: selector,
+                data: data,
+                eta: eta,
+                status: ActionStatus.Queued
+            })
+        );
+        pendingActionIds.push(id);
+        pendingActionToIndex[id] = pendingActionIds.length;
+
+        emit ActionQueued(id, msg.sender, data, eta);
+    }
+
+    /**
+     * @notice Executes a queued action once its delay has passed.
+     * @dev The caller needs the role the action requires; it does not have
+     * to be the account that queued it. The account that queued it must
+     * still hold that role, so revoking it also stops its queued actions.
+     * @param id The id returned by `queueAction`.
+     */
+    function executeAction(uint256 id) external {
+        Action storage action = getQueuedAction(id);
+        bytes32 role = getActionRole(action.selector);
+        require(hasRole(role, msg.sender), "You don't have the required role!");
+        require(
+            hasRole(role, action.proposer),
+            "Proposer no longer has the role"
+        );
+        require(block.timestamp >= action.eta, "Action is still timelocked");
+        action.status = ActionStatus.Executed;
+        removePendingAction(id);
+
+        bytes4 selector = action.selector;
+        bytes memory args = getActionArgs(action.data);
+        if (selector == this.updatePriceFeed.selector) {
+            setPriceFeed(abi.decode(args, (address)));
+        } else if (selector == this.withdraw.selector) {
+            withdrawFunds(
+                action.proposer,
+                action.proposer,
+                abi.decode(args, (uint256))
+            );
+        } else if (selector == this.withdrawTo.selector) {
+            (address recipient, uint256 amount) = abi.decode(
+                args,
+                (address, uint256)
+            );
+            withdrawFunds(action.proposer, recipient, amount);
+        } else {
+            (
+                address[] memory recipients,
+                uint256[] memory shares,
+                uint256 amount
+            ) = abi.decode(args, (address[], uint256[], uint256));
+            splitFunds(action.proposer, recipients, shares, amount);
+        }
+
+        emit ActionExecuted(id, msg.sender);
+    }
+
+    /**
+     * @notice Drops a queued action. The account that queued it, guardians
+     * and the owner can cancel it, so a guardian can veto a queued drain.
+     * @param id The id returned by `queueAction`.
+     */
+    function cancelAction(uint256 id) external {
+        Action storage action = getQueuedAction(id);
+        require(
+            msg.sender == action.proposer || hasRole(GUARDIAN_ROLE, msg.sender),
+            "You can't cancel this action!"
+        );
+        action.status = ActionStatus.Cancelled;
+        removePendingAction(id);
+
+        emit ActionCancelled(id, msg.sender);
+    }
+
+    /**
+     * @notice Stops `fund` until `unpause`, e.g. while the price feed
+     * misbehaves. Refunds and withdrawals are not affected.
+     * @dev Not timelocked, so a guardian can react at once.
+     */
+    function pause() public onlyRole(GUARDIAN_ROLE) {
+        require(!paused, "Funding is already paused");
+        paused = true;
+
+        emit Paused(msg.sender);
+    }
+
+    /**
+     * @notice Lets `fund` accept contributions again.
+     */
+    function unpause() public onlyRole(GUARDIAN_ROLE) {
+        require(paused, "Funding is not paused");
+        paused = false;
+
+        emit Unpaused(msg.sender);
+    }
+
+    /**
+     * @notice Proposes `newOwner` as the next owner. Ownership only changes
+     * once `newOwner` calls `acceptOwnership`, so a mistyped address cannot
+     * lock the contract. Proposing the zero address cancels a pending transfer.
+     * @param newOwner The proposed owner.
+     */
+    function transferOwnership(address newOwner) public onlyOwner {
+        pendingOwner = newOwner;
+
+        emit OwnershipTransferStarted(owner, newOwner);
+    }
+
+    /**
+     * @notice Completes the transfer started by `transferOwnership`.
+     */
+    function acceptOwnership() public {
+        require(msg.sender == pendingOwner, "You're not the pending owner!");
+        address previousOwner = owner;
+        owner = msg.sender;
+        pendingOwner = address(0);
+
+        emit OwnershipTransferred(previousOwner, msg.sender);
+    }
+
+    /**
+     * @notice Grants `role` to `account`.
+     * @param role `TREASURER_ROLE`, `FEED_ADMIN_ROLE` or `GUARDIAN_ROLE`.
+     * @param account The account to grant it to.
+     */
+    function grantRole(bytes32 role, address account) public onlyOwner {
+        require(
+            role == TREASURER_ROLE ||
+                role == FEED_ADMIN_ROLE ||
+                role == GUARDIAN_ROLE,
+            "Unknown role"
+        );
+        require(!roleMembers[role][account], "Role already granted");
+        roleMembers[role][account] = true;
+
+        emit RoleGranted(role, account);
+    }
+
+    /**
+     * @notice Revokes `role` from `account`. The owner's implicit roles
+     * cannot be revoked.
+     * @param role `TREASURER_ROLE`, `FEED_ADMIN_ROLE` or `GUARDIAN_ROLE`.
+     * @param account The account to revoke it from.
+     */
+    function revokeRole(bytes32 role, address account) public onlyOwner {
+        require(roleMembers[role][account], "Role not granted");
+        roleMembers[role][account] = false;
+
+        emit RoleRevoked(role, account);
+    }
+
+    /**
+     * @dev Records `msg.value` as a contribution of `msg.sender`, for `fund`,
+     * `receive` and `fallback`.
+     */
+    function contribute() private whenNotPaused {
+        require(
+            deadline == 0 || block.timestamp < deadline,
+            "Campaign has ended"
+        );
+        uint256 usdAmount = msg.value.getConversionRate(
+            priceFeed,
+            priceFeedHeartbeat
+        );
+        require(usdAmount >= MINIMUM_USD, "You need to spend more ETH!");
+        if (deadline != 0) {
+            addressToUsdFunded[msg.sender] += usdAmount;
+            totalRaisedUsd += usdAmount;
+        }
         addressToAmountFunded[msg.sender] += msg.value;
-        funders.push(msg.sender);
+        epochToAddressToAmountFunded[currentEpoch][msg.sender] += msg.value;
+        totalRaised += msg.value;
+        if (funderToIndex[msg.sender] == 0) {
+            funders.push(msg.sender);
+            funderToIndex[msg.sender] = funders.length;
+        }
 
         emit FundContribution(msg.sender, msg.value); // Emit the FundContribution event to log the contribution
     }
 
-    function withdraw(uint256 amount) public onlyOwner {
-        // Loop through the funders and reset their funded amount.
-        for (
-            uint256 funderIndex = 0;
-            funderIndex < funders.length;
-            funderIndex++
-        ) {
-            address funder = funders[funderIndex];
-            addressToAmountFunded[funder] = 0; // This line writes to storage every time the loop executes.
+    /**
+     * @dev Sends `amount` to `recipient` as a single withdrawal.
+     * `treasurer` is the account that authorised it: the caller, or for a
+     * queued action the account that queued it, not whoever executed it.
+     */
+    function withdrawFunds(
+        address treasurer,
+        address recipient,
+        uint256 amount
+    ) private {
+        startWithdrawal(amount);
+        payOut(recipient, amount);
+
+        emit FundsWithdrawn(treasurer, amount);
+    }
+
+    /**
+     * @dev See `splitPayout`. `treasurer` as in `withdrawFunds`.
+     */
+    function splitFunds(
+        address treasurer,
+        address[] memory recipients,
+        uint256[] memory shares,
+        uint256 amount
+    ) private {
+        require(
+            recipients.length > 0 && recipients.length == shares.length,
+            "Recipients and shares differ"
+        );
+        uint256 totalShares;
+        for (uint256 i = 0; i < shares.length; i++) {
+            totalShares += shares[i];
         }
-        funders = new address[](0);
-        (bool success, ) = owner.call{value: amount}("");
-        require(success, "Withdrawal failed");
+        require(
+            totalShares == PAYOUT_BASIS_POINTS,
+            "Shares must add up to 100%"
+        );
 
-        emit FundsWithdrawn(owner, amount);
+        startWithdrawal(amount);
+        uint256 remaining = amount;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            uint256 share = i == recipients.length - 1
+                ? remaining
+                : (amount * shares[i]) / PAYOUT_BASIS_POINTS;
+            remaining -= share;
+            payOut(recipients[i], share);
+        }
+
+        emit FundsWithdrawn(treasurer, amount);
     }
 
-    function updatePriceFeed(address newPriceFeedAddress) public onlyOwner {
+    function setPriceFeed(address newPriceFeedAddress) private {
         require(newPriceFeedAddress != address(0), "Invalid address provided");
         AggregatorV3Interface previousPriceFeed = priceFeed;
         priceFeed = AggregatorV3Interface(newPriceFeedAddress);
@@ -88,10 +570,101 @@ contract FundMe {
         emit PriceFeedUpdated(address(previousPriceFeed), newPriceFeedAddress);
     }
 
+    /**
+     * @dev Returns the role needed to queue and execute a call to `selector`.
+     */
+    function getActionRole(bytes4 selector) private pure returns (bytes32) {
+        if (selector == this.updatePriceFeed.selector) return FEED_ADMIN_ROLE;
+        require(
+            selector == this.withdraw.selector ||
+                selector == this.withdrawTo.selector ||
+                selector == this.splitPayout.selector,
+            "Unknown action"
+        );
+        return TREASURER_ROLE;
+    }
+
+    /**
+     * @dev Returns the arguments of an ABI encoded call, without its selector.
+     */
+    function getActionArgs(bytes memory data)
+        private
+        pure
+        returns (bytes memory args)
+    {
+        args = new bytes(data.length - 4);
+        for (uint256 i = 0; i < args.length; i++) {
+            args[i] = data[i + 4];
+        }
+    }
+
+    function getQueuedAction(uint256 id)
+        private
+        view
+        returns (Action storage action)
+    {
+        require(id < actions.length, "Unknown action");
+        action = actions[id];
+        require(action.status == ActionStatus.Queued, "Action is not queued");
+    }
+
+    /**
+     * @dev Removes `id` from `pendingActionIds` the way `removeFunder` does.
+     */
+    function removePendingAction(uint256 id) private {
+        uint256 index = pendingActionToIndex[id];
+        uint256 lastId = pendingActionIds[pendingActionIds.length - 1];
+        pendingActionIds[index - 1] = lastId;
+        pendingActionToIndex[lastId] = index;
+        pendingActionIds.pop();
+        delete pendingActionToIndex[id];
+    }
+
+    /**
+     * @dev Checks that a campaign allows withdrawing, then records the
+     * withdrawal and starts a new epoch, before anything is sent. A zero
+     * amount is rejected: it would end the refund window for nothing.
+     */
+    function startWithdrawal(uint256 amount) private {
+        require(amount > 0, "Amount must be positive");
+        if (deadline != 0) {
+            CampaignState state = getCampaignState();
+            require(state != CampaignState.Active, "Campaign is still running");
+            require(state == CampaignState.Succeeded, "Campaign goal not met");
+        }
+        totalWithdrawn += amount;
+        currentEpoch++;
+    }
+
+    /**
+     * @dev Sends `amount` to `recipient`, reverting if it rejects the Ether.
+     */
+    function payOut(address recipient, uint256 amount) private {
+        require(recipient != address(0), "Invalid recipient");
+        (bool success, ) = recipient.call{value: amount}("");
+        require(success, "Withdrawal failed");
+
+        emit FundsPaidOut(recipient, amount);
+    }
+
+    /**
+     * @dev Removes `funder` from `funders` by moving the last funder into its
+     * place, so order is not preserved.
+     */
+    function removeFunder(address funder) private {
+        uint256 index = funderToIndex[funder];
+        if (index == 0) return;
+        address lastFunder = funders[funders.length - 1];
+        funders[index - 1] = lastFunder;
+        funderToIndex[lastFunder] = index;
+        funders.pop();
+        delete funderToIndex[funder];
+    }
+
     /**
      * @notice Gets the amount that an address has funded.
      * @param fundingAddress The address of the funder.
-     * @return The amount funded.
+     * @return The amount funded over all epochs, net of refunds.
      */
     function getAddressToAmountFunded(address fundingAddress)
         public
@@ -101,6 +674,109 @@ contract FundMe {
         return addressToAmountFunded[fundingAddress];
     }
 
+    /**
+     * @notice Gets the amount an address can still get back with `refund`.
+     * @param fundingAddress The address of the funder.
+     * @return The amount funded in the current epoch, or 0 once a campaign succeeded.
+     */
+    function getRefundableAmount(address fundingAddress)
+        public
+        view
+        returns (uint256)
+    {
+        if (getCampaignState() == CampaignState.Succeeded) return 0;
+        return epochToAddressToAmountFunded[currentEpoch][fundingAddress];
+    }
+
+    /**
+     * @notice Get the state of the campaign, see `CampaignState`.
+     * @return The campaign state.
+     */
+    function getCampaignState() public view returns (CampaignState) {
+        if (deadline == 0) return CampaignState.None;
+        if (block.timestamp < deadline) return CampaignState.Active;
+        return
+            totalRaisedUsd >= goalUsd
+                ? CampaignState.Succeeded
+                : CampaignState.Failed;
+    }
+
+    /**
+     * @notice Get the campaign goal.
+     * @return The goal in USD with 18 decimals, 0 without a campaign.
+     */
+    function getGoalUsd() public view returns (uint256) {
+        return goalUsd;
+    }
+
+    /**
+     * @notice Get the campaign deadline.
+     * @return The timestamp funding closes at, 0 without a campaign.
+     */
+    function getDeadline() public view returns (uint256) {
+        return deadline;
+    }
+
+    /**
+     * @notice Get the USD value raised by the campaign, each contribution
+     * priced when it was made and net of refunds.
+     * @return The amount raised in USD with 18 decimals.
+     */
+    function getTotalRaisedUsd() public view returns (uint256) {
+        return totalRaisedUsd;
+    }
+
+    /**
+     * @notice Gets the USD value an address has contributed to the campaign.
+     * @param fundingAddress The address of the funder.
+     * @return The amount funded in USD with 18 decimals.
+     */
+    function getAddressToUsdFunded(address fundingAddress)
+        public
+        view
+        returns (uint256)
+    {
+        return addressToUsdFunded[fundingAddress];
+    }
+
+    /**
+     * @notice Gets the amount an address funded in a given epoch.
+     * @param epoch The epoch, see `getCurrentEpoch`.
+     * @param fundingAddress The address of the funder.
+     * @return The amount funded in that epoch, net of refunds.
+     */
+    function getEpochAmountFunded(uint256 epoch, address fundingAddress)
+        public
+        view
+        returns (uint256)
+    {
+        return epochToAddressToAmountFunded[epoch][fundingAddress];
+    }
+
+    /**
+     * @notice Get the number of withdrawals made so far.
+     * @return The current epoch.
+     */
+    function getCurrentEpoch() public view returns (uint256) {
+        return currentEpoch;
+    }
+
+    /**
+     * @notice Get everything ever funded, net of refunds.
+     * @return The total raised.
+     */
+    function getTotalRaised() public view returns (uint256) {
+        return totalRaised;
+    }
+
+    /**
+     * @notice Get everything the owner has withdrawn.
+     * @return The total withdrawn.
+     */
+    function getTotalWithdrawn() public view returns (uint256) {
+        return totalWithdrawn;
+    }
+
     /**
      * @notice Get the version of the price feed.
      * @return The version of the price feed.
@@ -118,6 +794,38 @@ contract FundMe {
         return funders[index];
     }
 
+    /**
+     * @notice Get the number of funders.
+     * @return The number of addresses listed by `getFunder` and `getFunders`.
+     */
+    function getFundersCount() public view returns (uint256) {
+        return funders.length;
+    }
+
+    /**
+     * @notice Get a page of funders with the amount each has funded.
+     * @dev Returns fewer than `limit` entries at the end of the list, and
+     * none when `offset` is past it.
+     * @param offset The index of the first funder to return.
+     * @param limit The maximum number of funders to return.
+     * @return pageFunders The funders' addresses.
+     * @return amounts The amount each funded, see `getAddressToAmountFunded`.
+     */
+    function getFunders(uint256 offset, uint256 limit)
+        public
+        view
+        returns (address[] memory pageFunders, uint256[] memory amounts)
+    {
+        uint256 size = offset < funders.length ? funders.length - offset : 0;
+        if (limit < size) size = limit;
+        pageFunders = new address[](size);
+        amounts = new uint256[](size);
+        for (uint256 i = 0; i < size; i++) {
+            pageFunders[i] = funders[offset + i];
+            amounts[i] = addressToAmountFunded[pageFunders[i]];
+        }
+    }
+
     /**
      * @notice Get the owner of the contract.
      * @return The address of the owner.
@@ -126,6 +834,80 @@ contract FundMe {
         return owner;
     }
 
+    /**
+     * @notice Get the timelock delay.
+     * @return The seconds between queueing and executing an action, 0 when
+     * sensitive calls can be made directly.
+     */
+    function getTimelockDelay() public view returns (uint256) {
+        return timelockDelay;
+    }
+
+    /**
+     * @notice Get the number of actions ever queued.
+     * @return The id the next queued action will get.
+     */
+    function getActionsCount() public view returns (uint256) {
+        return actions.length;
+    }
+
+    /**
+     * @notice Get a queued action.
+     * @param id The id returned by `queueAction`.
+     * @return proposer The account that queued it.
+     * @return data The ABI encoded call, selector included.
+     * @return eta The timestamp it can be executed from.
+     * @return status See `ActionStatus`.
+     */
+    function getAction(uint256 id)
+        public
+        view
+        returns (
+            address proposer,
+            bytes memory data,
+            uint256 eta,
+            ActionStatus status
+        )
+    {
+        require(id < actions.length, "Unknown action");
+        Action storage action = actions[id];
+        return (action.proposer, action.data, action.eta, action.status);
+    }
+
+    /**
+     * @notice Get the ids of the actions still waiting to be executed or cancelled.
+     * @return The ids, in no particular order.
+     */
+    function getPendingActions() public view returns (uint256[] memory) {
+        return pendingActionIds;
+    }
+
+    /**
+     * @notice Checks whether a guardian paused funding.
+     * @return True while `fund` reverts with "Funding is paused".
+     */
+    function isPaused() public view returns (bool) {
+        return paused;
+    }
+
+    /**
+     * @notice Get the owner proposed by `transferOwnership`.
+     * @return The pending owner, or the zero address when there is none.
+     */
+    function getPendingOwner() public view returns (address) {
+        return pendingOwner;
+    }
+
+    /**
+     * @notice Checks whether `account` holds `role`.
+     * @param role `TREASURER_ROLE`, `FEED_ADMIN_ROLE` or `GUARDIAN_ROLE`.
+     * @param account The account to check.
+     * @return True for the owner and for accounts granted `role`.
+     */
+    function hasRole(bytes32 role, address account) public view returns (bool) {
+        return account == owner || roleMembers[role][account];
+    }
+
     /**
      * @notice Get the price feed interface.
      * @return The AggregatorV3Interface address used for price conversion.
@@ -134,6 +916,14 @@ contract FundMe {
         return priceFeed;
     }
 
+    /**
+     * @notice Get the price feed heartbeat.
+     * @return The oldest price feed answer, in seconds, that `fund` accepts.
+     */
+    function getPriceFeedHeartbeat() public view returns (uint256) {
+        return priceFeedHeartbeat;
+    }
+
     /**
      * @notice Get the balance of the contract.
      * @return The contract's ETH balance.
@@ -4,24 +4,54 @@ pragma solidity ^0.8.7;
 import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
 
 library PriceConverter {
-    function getPrice(AggregatorV3Interface priceFeed)
+    /**
+     * @notice Reads the latest answer of `priceFeed`, scaled to 18 decimals
+     * whatever the feed's `decimals()`.
+     * @dev Reverts on a non-positive answer, on a round answered in an
+     * earlier round, and on an answer older than `heartbeat` seconds.
+     * @param priceFeed The ETH/USD price feed.
+     * @param heartbeat The oldest acceptable `updatedAt`, in seconds.
+     * @return The ETH/USD rate with 18 decimals.
+     */
+    function getPrice(AggregatorV3Interface priceFeed, uint256 heartbeat)
         internal
         view
         returns (uint256)
     {
-        (, int256 answer, , , ) = priceFeed.latestRoundData();
-        // ETH/USD rate in 18 digit
-        return uint256(answer * 10000000000);
+        (
+            uint80 roundId,
+            int256 answer,
+            ,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        ) = priceFeed.latestRoundData();
+        require(answer > 0, "Price feed answer is not positive");
+        require(answeredInRound >= roundId, "Price feed round is incomplete");
+        require(
+            updatedAt + heartbeat >= block.timestamp,
+            "Price feed answer is stale"
+        );
+
+        uint8 decimals = priceFeed.decimals();
+        if (decimals <= 18) {
+            return uint256(answer) * 10**(18 - decimals);
+        }
+        return uint256(answer) / 10**(decimals - 18);
     }
 
-    // 1000000000
-    // call it get fiatConversionRate, since it assumes something about decimals
-    // It wouldn't work for every aggregator
+    /**
+     * @notice Converts an amount of wei to USD at the latest `priceFeed` answer.
+     * @param ethAmount The amount in wei.
+     * @param priceFeed The ETH/USD price feed.
+     * @param heartbeat The oldest acceptable answer, see `getPrice`.
+     * @return The value in USD with 18 decimals.
+     */
     function getConversionRate(
         uint256 ethAmount,
-        AggregatorV3Interface priceFeed
+        AggregatorV3Interface priceFeed,
+        uint256 heartbeat
     ) internal view returns (uint256) {
-        uint256 ethPrice = getPrice(priceFeed);
+        uint256 ethPrice = getPrice(priceFeed, heartbeat);
         uint256 ethAmountInUsd = (ethPrice * ethAmount) / 1000000000000000000;
         // the actual ETH/USD conversation rate, after adjusting the extra 0s.
         return ethAmountInUsd;
@@ -0,0 +1,72 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+
+/**
+ * @title MockIncompleteRoundAggregator
+ * @notice MockV3Aggregator always reports `answeredInRound == roundId`; this
+ * mock lets tests set `answeredInRound` on its own, to fake a round that
+ * carried over an answer from an earlier one.
+ */
+contract MockIncompleteRoundAggregator is AggregatorV3Interface {
+    uint8 public override decimals;
+    uint80 private roundId;
+    int256 private answer;
+    uint256 private updatedAt;
+    uint80 private answeredInRound;
+
+    constructor(uint8 _decimals) {
+        decimals = _decimals;
+    }
+
+    function setRoundData(
+        uint80 _roundId,
+        int256 _answer,
+        uint256 _updatedAt,
+        uint80 _answeredInRound
+    ) external {
+        roundId = _roundId;
+        answer = _answer;
+        updatedAt = _updatedAt;
+        answeredInRound = _answeredInRound;
+    }
+
+    function description() external pure override returns (string memory) {
+        return "MockIncompleteRoundAggregator";
+    }
+
+    function version() external pure override returns (uint256) {
+        return 0;
+    }
+
+    function getRoundData(uint80)
+        external
+        view
+        override
+        returns (
+            uint80,
+            int256,
+            uint256,
+            uint256,
+            uint80
+        )
+    {
+        return (roundId, answer, updatedAt, updatedAt, answeredInRound);
+    }
+
+    function latestRoundData()
+        external
+        view
+        override
+        returns (
+            uint80,
+            int256,
+            uint256,
+            uint256,
+            uint80
+        )
+    {
+        return (roundId, answer, updatedAt, updatedAt, answeredInRound);
+    }
+}
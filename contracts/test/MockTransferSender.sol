@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+/**
+ * @title MockTransferSender
+ * @notice Forwards Ether the way other contracts (exchanges, wallets) pay
+ * out: with `transfer`, which only passes on a 2300 gas stipend, or with a
+ * plain `call`, which forwards all the gas left.
+ */
+contract MockTransferSender {
+    function sendWithTransfer(address payable to) external payable {
+        to.transfer(msg.value);
+    }
+
+    function sendWithCall(address to) external payable {
+        (bool success, ) = to.call{value: msg.value}("");
+        require(success, "Call failed");
+    }
+}
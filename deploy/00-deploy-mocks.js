@@ -1,19 +1,27 @@
-const { network } = require("hardhat")
+const { ethers, network } = require("hardhat")
+const {
+    developmentChainIds,
+    getMockPriceFeedConfig,
+} = require("../helper-hardhat-config")
 
-const DECIMALS = "8"
-const INITIAL_PRICE = "200000000000" // 2000
 module.exports = async ({ getNamedAccounts, deployments }) => {
     const { deploy, log } = deployments
     const { deployer } = await getNamedAccounts()
     const chainId = network.config.chainId
     // If we are on a local development network, we need to deploy mocks!
-    if (chainId == 31337) {
-        log("Local network detected! Deploying mocks...")
+    if (developmentChainIds.includes(chainId)) {
+        const { decimals, initialPrice } = getMockPriceFeedConfig()
+        log(
+            `Local network detected! Deploying mocks at $${initialPrice} with ${decimals} decimals...`
+        )
         await deploy("MockV3Aggregator", {
             contract: "MockV3Aggregator",
             from: deployer,
             log: true,
-            args: [DECIMALS, INITIAL_PRICE],
+            args: [
+                decimals,
+                ethers.utils.parseUnits(initialPrice, decimals).toString(),
+            ],
         })
         log("Mocks Deployed!")
         log("------------------------------------------------")
@@ -23,6 +31,9 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
         log(
             "Please run `npx hardhat console` to interact with the deployed smart contracts!"
         )
+        log(
+            "Use `npx hardhat mock-price` to move the mock price around or replay a scenario"
+        )
         log("------------------------------------------------")
     }
 }
@@ -1,28 +1,78 @@
-const { network } = require("hardhat")
-const { networkConfig, developmentChains } = require("../helper-hardhat-config")
+const { ethers, network } = require("hardhat")
+const {
+    developmentChainIds,
+    developmentChains,
+    getCampaignConfig,
+    getNetworkConfig,
+} = require("../helper-hardhat-config")
+const {
+    checkPriceFeed,
+    formatPriceFeedReport,
+    getConfiguredPriceFeedAddress,
+    getExpectedPriceFeedDecimals,
+    getPriceFeed,
+} = require("../utils/priceFeed")
 const { verify } = require("../utils/verify")
 require("dotenv").config()
 
-module.exports = async ({ getNamedAccounts, deployments }) => {
+module.exports = async (hre) => {
+    const { getNamedAccounts, deployments } = hre
     const { deploy, log } = deployments
     const { deployer } = await getNamedAccounts()
-    const chainId = network.config.chainId
+    // Fails with the name of the missing field before anything is sent
+    const config = getNetworkConfig(network.config.chainId)
 
-    let ethUsdPriceFeedAddress
-    if (chainId == 31337) {
-        const ethUsdAggregator = await deployments.get("MockV3Aggregator")
-        ethUsdPriceFeedAddress = ethUsdAggregator.address
-    } else {
-        ethUsdPriceFeedAddress = networkConfig[chainId]["ethUsdPriceFeed"]
+    const ethUsdPriceFeedAddress = await getConfiguredPriceFeedAddress(hre)
+    const priceFeedCheck = await checkPriceFeed(
+        getPriceFeed(ethUsdPriceFeedAddress, ethers.provider),
+        {
+            expectedDecimals: getExpectedPriceFeedDecimals(
+                network.config.chainId
+            ),
+            maxStaleness: config.priceFeedHeartbeat,
+            // MockV3Aggregator does not describe itself as ETH / USD
+            checkDescription: !developmentChainIds.includes(
+                network.config.chainId
+            ),
+        }
+    )
+    log(formatPriceFeedReport(priceFeedCheck))
+    if (priceFeedCheck.problems.length > 0) {
+        throw new Error(
+            `Refusing to deploy FundMe with price feed ${ethUsdPriceFeedAddress}`
+        )
     }
+
+    const { timestamp } = await ethers.provider.getBlock("latest")
+    const campaign = getCampaignConfig(network.config.chainId, timestamp)
+    if (campaign.deadline) {
+        log(
+            `Campaign: $${campaign.goalUsd} goal, funding closes at ${new Date(
+                campaign.deadline * 1000
+            ).toISOString()}`
+        )
+    }
+    if (config.timelockDelay) {
+        log(
+            `Timelock: withdrawals and price feed changes wait ${config.timelockDelay}s in the queue`
+        )
+    }
+    const args = [
+        ethUsdPriceFeedAddress,
+        config.priceFeedHeartbeat,
+        ethers.utils.parseEther(campaign.goalUsd),
+        campaign.deadline,
+        config.timelockDelay || 0,
+    ]
+
     log("----------------------------------------------------")
     log("Deploying FundMe and waiting for confirmations...")
     const fundMe = await deploy("FundMe", {
         from: deployer,
-        args: [ethUsdPriceFeedAddress],
+        args,
         log: true,
         // we need to wait if on a live network so we can verify properly
-        waitConfirmations: network.config.blockConfirmations || 1,
+        waitConfirmations: config.blockConfirmations,
     })
     log(`FundMe deployed at ${fundMe.address}`)
 
@@ -30,7 +80,7 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
         !developmentChains.includes(network.name) &&
         process.env.ETHERSCAN_API_KEY
     ) {
-        await verify(fundMe.address, [ethUsdPriceFeedAddress])
+        await verify(fundMe.address, args)
     }
 }
 
@@ -0,0 +1,21 @@
+const { network } = require("hardhat")
+const {
+    isInProcessNetwork,
+    updateFrontEndConstants,
+} = require("../utils/frontEnd")
+
+module.exports = async (hre) => {
+    const { log } = hre.deployments
+    // Tests deploy to the in-process hardhat network, which must not touch the front-end
+    if (isInProcessNetwork(hre)) {
+        return
+    }
+    log("Updating front-end constants...")
+    const file = await updateFrontEndConstants(hre)
+    log(
+        `Wrote the FundMe ABI and address for chainId ${network.config.chainId} to ${file}`
+    )
+    log("----------------------------------------------------")
+}
+
+module.exports.tags = ["all", "frontend"]
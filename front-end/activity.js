@@ -0,0 +1,156 @@
+import { ethers } from "./ethers-5.6.esm.min.js";
+import { getExplorerUrl } from "./networks.js";
+
+const ACTIVITY_EVENTS = ["FundContribution", "Refunded", "FundsWithdrawn", "FundsPaidOut", "PriceFeedUpdated", "OwnershipTransferred", "ActionQueued", "ActionExecuted", "ActionCancelled", "Paused", "Unpaused"];
+const LOG_CHUNK_SIZE = 5000;
+const MAX_ACTIVITY_ITEMS = 50;
+
+// Finds the block the contract was deployed in by bisecting on eth_getCode.
+export async function findDeploymentBlock(provider, address) {
+  let low = 0;
+  let high = await provider.getBlockNumber();
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    const code = await provider.getCode(address, middle);
+    if (code === "0x") {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+export function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+export function link(url, text) {
+  if (!url) {
+    return document.createTextNode(text);
+  }
+  const anchor = document.createElement("a");
+  anchor.href = url;
+  anchor.target = "_blank";
+  anchor.rel = "noopener noreferrer";
+  anchor.textContent = text;
+  return anchor;
+}
+
+function describe(event) {
+  const { args } = event;
+  switch (event.name) {
+    case "FundContribution":
+      return `${shortAddress(args.funder)} funded ${ethers.utils.formatEther(args.amount)} ETH`;
+    case "Refunded":
+      return `${shortAddress(args.funder)} was refunded ${ethers.utils.formatEther(args.amount)} ETH`;
+    case "FundsWithdrawn":
+      return `${shortAddress(args.owner)} withdrew ${ethers.utils.formatEther(args.amount)} ETH`;
+    case "FundsPaidOut":
+      return `${ethers.utils.formatEther(args.amount)} ETH paid out to ${shortAddress(args.recipient)}`;
+    case "PriceFeedUpdated":
+      return `Price feed changed to ${shortAddress(args.newPriceFeed)}`;
+    case "OwnershipTransferred":
+      return `Ownership passed to ${shortAddress(args.newOwner)}`;
+    case "ActionQueued":
+      return `${shortAddress(args.proposer)} queued action #${args.id}`;
+    case "ActionExecuted":
+      return `Action #${args.id} executed by ${shortAddress(args.executor)}`;
+    case "ActionCancelled":
+      return `Action #${args.id} cancelled by ${shortAddress(args.canceller)}`;
+    case "Paused":
+      return `Funding paused by ${shortAddress(args.account)}`;
+    case "Unpaused":
+      return `Funding resumed by ${shortAddress(args.account)}`;
+    default:
+      return event.name;
+  }
+}
+
+// Keeps every FundMe event seen so far and renders the activity list from it.
+// `onChange` runs after every redraw, for views built on the same events.
+export function createActivityPanel({ activityList, onChange = () => {} }) {
+  const events = new Map();
+  let explorerUrl;
+  let unsubscribe = () => {};
+
+  function add(contract, log) {
+    const key = `${log.transactionHash}:${log.logIndex}`;
+    if (events.has(key)) {
+      return false;
+    }
+    const parsed = contract.interface.parseLog(log);
+    events.set(key, {
+      name: parsed.name,
+      args: parsed.args,
+      blockNumber: log.blockNumber,
+      logIndex: log.logIndex,
+      transactionHash: log.transactionHash,
+    });
+    return true;
+  }
+
+  function sortedEvents() {
+    return [...events.values()].sort(
+      (a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex
+    );
+  }
+
+  function render() {
+    activityList.replaceChildren();
+    const items = sortedEvents().slice(0, MAX_ACTIVITY_ITEMS);
+    if (items.length === 0) {
+      activityList.textContent = "No activity yet.";
+      onChange();
+      return;
+    }
+    for (const event of items) {
+      const item = document.createElement("li");
+      item.className = `activity-item activity-${event.name}`;
+      item.append(`${describe(event)} · block ${event.blockNumber} · `);
+      item.append(
+        link(explorerUrl && `${explorerUrl}/tx/${event.transactionHash}`, "tx")
+      );
+      activityList.append(item);
+    }
+    onChange();
+  }
+
+  // Backfills past events from the deployment block, then follows new ones.
+  async function load(contract, provider, fromBlock) {
+    unsubscribe();
+    events.clear();
+    explorerUrl = getExplorerUrl((await provider.getNetwork()).chainId);
+
+    const filter = {
+      address: contract.address,
+      topics: [ACTIVITY_EVENTS.map((name) => contract.interface.getEventTopic(name))],
+    };
+    const listener = (log) => {
+      if (add(contract, log)) {
+        render();
+      }
+    };
+    // Subscribe first so nothing mined during the backfill is missed;
+    // duplicates are dropped by `add`.
+    provider.on(filter, listener);
+    unsubscribe = () => provider.off(filter, listener);
+
+    const startBlock =
+      fromBlock !== undefined ? fromBlock : await findDeploymentBlock(provider, contract.address);
+    const latestBlock = await provider.getBlockNumber();
+    for (let start = startBlock; start <= latestBlock; start += LOG_CHUNK_SIZE) {
+      const end = Math.min(start + LOG_CHUNK_SIZE - 1, latestBlock);
+      const logs = await provider.getLogs({ ...filter, fromBlock: start, toBlock: end });
+      logs.forEach((log) => add(contract, log));
+      render();
+    }
+    render();
+  }
+
+  function getEvents() {
+    return sortedEvents();
+  }
+
+  return { load, getEvents, stop: () => unsubscribe() };
+}
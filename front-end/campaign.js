@@ -0,0 +1,88 @@
+import { formatUsd } from "./price.js";
+
+// FundMe.CampaignState
+export const CampaignState = { None: 0, Active: 1, Succeeded: 2, Failed: 3 };
+
+function formatTimeLeft(seconds) {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h left`;
+  if (hours > 0) return `${hours}h ${minutes}m left`;
+  return `${minutes}m ${Math.floor(seconds % 60)}s left`;
+}
+
+// Reads the campaign fields the store and panel need. `fundingClosed` once
+// the deadline has passed.
+export async function readCampaign(contract) {
+  const [state, goalUsd, raisedUsd, deadline] = await Promise.all([
+    contract.getCampaignState(),
+    contract.getGoalUsd(),
+    contract.getTotalRaisedUsd(),
+    contract.getDeadline(),
+  ]);
+  return {
+    state,
+    goalUsd,
+    raisedUsd,
+    deadline: deadline.toNumber(),
+    fundingClosed: state === CampaignState.Succeeded || state === CampaignState.Failed,
+  };
+}
+
+// Goal progress and time left of a FundMe campaign; hidden for a FundMe
+// deployed without one. The countdown follows the chain's clock, not the
+// visitor's, and ticks locally between blocks.
+export function createCampaignPanel({ elements, store }) {
+  let campaign;
+  // Why the last campaign read failed, if it did.
+  let error;
+  let ticker;
+
+  function render() {
+    if (error && !campaign) {
+      elements.panel.hidden = false;
+      elements.progress.style.width = "0%";
+      elements.summary.textContent = `Could not read the campaign: ${error}`;
+      return;
+    }
+    elements.panel.hidden = !campaign || campaign.state === CampaignState.None;
+    if (elements.panel.hidden) return;
+
+    const { state, goalUsd, raisedUsd, deadline } = campaign;
+    const percent = raisedUsd.mul(10000).div(goalUsd).toNumber() / 100;
+    elements.progress.style.width = `${Math.min(percent, 100)}%`;
+    const secondsLeft = deadline - store.getChainTime();
+    const status =
+      state === CampaignState.Succeeded
+        ? "goal met, funding closed"
+        : state === CampaignState.Failed
+        ? "goal not met, funders can claim refunds"
+        : secondsLeft > 0
+        ? formatTimeLeft(secondsLeft)
+        : "closing…";
+    elements.summary.textContent = `${formatUsd(raisedUsd)} of ${formatUsd(goalUsd)} (${percent}%) · ${status}`;
+    if (error) {
+      elements.summary.textContent += ` · could not refresh: ${error}`;
+    }
+  }
+
+  store.subscribe(["campaign", "errors"], (state) => {
+    campaign = state.campaign;
+    error = state.errors && state.errors.campaign;
+    clearInterval(ticker);
+    if (campaign && campaign.state === CampaignState.Active) {
+      ticker = setInterval(render, 1000);
+    }
+    render();
+  });
+
+  function reset() {
+    clearInterval(ticker);
+    campaign = undefined;
+    error = undefined;
+    render();
+  }
+
+  return { reset };
+}
@@ -0,0 +1,94 @@
+import { ethers } from "./ethers-5.6.esm.min.js";
+import { link, shortAddress } from "./activity.js";
+import { getExplorerUrl } from "./networks.js";
+
+const PAGE_SIZE = 100;
+const LEADERBOARD_SIZE = 10;
+
+// Reads every funder and the amount they funded, a getFunders page at a time.
+export async function readFunders(contract, pageSize = PAGE_SIZE) {
+  const count = (await contract.getFundersCount()).toNumber();
+  const funders = [];
+  for (let offset = 0; offset < count; offset += pageSize) {
+    const [addresses, amounts] = await contract.getFunders(offset, pageSize);
+    addresses.forEach((address, index) => funders.push({ address, amount: amounts[index] }));
+  }
+  return funders;
+}
+
+// Transaction hash of each funder's most recent FundContribution, from events
+// sorted newest first as the activity panel keeps them.
+function findLatestContributions(events) {
+  const latest = new Map();
+  for (const event of events) {
+    if (event.name === "FundContribution" && !latest.has(event.args.funder)) {
+      latest.set(event.args.funder, event.transactionHash);
+    }
+  }
+  return latest;
+}
+
+// Top funders by amount funded, read from the contract whenever the funder
+// count or the total raised changes. Each entry links the funder's latest
+// contribution once the activity panel has seen it; call `redraw` when the
+// panel's events change.
+export function createLeaderboard({ leaderboardList, store, getEvents }) {
+  let contract;
+  let explorerUrl;
+  let funders = [];
+
+  function render() {
+    leaderboardList.replaceChildren();
+    const ranking = [...funders]
+      .sort((a, b) => (b.amount.gt(a.amount) ? 1 : b.amount.lt(a.amount) ? -1 : 0))
+      .slice(0, LEADERBOARD_SIZE);
+    if (ranking.length === 0) {
+      leaderboardList.textContent = "No funders yet.";
+      return;
+    }
+    const latestContributions = findLatestContributions(getEvents());
+    for (const { address, amount } of ranking) {
+      const item = document.createElement("li");
+      item.append(link(explorerUrl && `${explorerUrl}/address/${address}`, shortAddress(address)));
+      item.append(` · ${ethers.utils.formatEther(amount)} ETH`);
+      const transactionHash = latestContributions.get(address);
+      if (transactionHash) {
+        item.append(" · ");
+        item.append(link(explorerUrl && `${explorerUrl}/tx/${transactionHash}`, "latest tx"));
+      }
+      leaderboardList.append(item);
+    }
+  }
+
+  async function refresh() {
+    if (!contract) return;
+    const current = contract;
+    const read = await readFunders(current);
+    if (current === contract) {
+      funders = read;
+      render();
+    }
+  }
+
+  store.subscribe(["funding", "totals"], () => refresh().catch((error) => console.log(error)));
+
+  async function load(fundMe, chainId) {
+    contract = fundMe;
+    explorerUrl = getExplorerUrl(chainId);
+    await refresh();
+  }
+
+  function reset() {
+    contract = undefined;
+    funders = [];
+    leaderboardList.replaceChildren();
+  }
+
+  function redraw() {
+    if (contract && funders.length > 0) {
+      render();
+    }
+  }
+
+  return { load, reset, redraw };
+}
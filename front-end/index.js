@@ -1,16 +1,139 @@
   import { ethers } from "./ethers-5.6.esm.min.js";
-  import { abi, contractAddress } from "./constants.js";
+  import { abi, deploymentBlocks } from "./constants.js";
+  import { createActivityPanel } from "./activity.js";
+  import { createFundingForm, validateAggregator } from "./price.js";
+  import { createOwnerDashboard } from "./owner.js";
+  import { createChainStore, describeRead } from "./store.js";
+  import { createLeaderboard } from "./funders.js";
+  import { createCampaignPanel } from "./campaign.js";
+  import { createActionQueue } from "./timelock.js";
+  import { createTransactionManager } from "./transactions.js";
+  import {
+    checkNetwork,
+    getNetworkName,
+    getPreferredChainId,
+    getReadOnlyRpcUrl,
+    switchNetwork,
+  } from "./networks.js";
 
   const connectButton = document.getElementById("connectButton");
   const withdrawButton = document.getElementById("withdrawButton");
+  const withdrawAllButton = document.getElementById("withdrawAllButton");
   const fundButton = document.getElementById("fundButton");
+  const refundButton = document.getElementById("refundButton");
   const balanceButton = document.getElementById("balanceButton");
   const updatePriceFeedButton = document.getElementById("updatePriceFeedButton");
+  const acceptOwnershipButton = document.getElementById("acceptOwnershipButton");
+  const pauseButton = document.getElementById("pauseButton");
+  const unpauseButton = document.getElementById("unpauseButton");
+  const pausedBanner = document.getElementById("pausedBanner");
+  const networkStatus = document.getElementById("networkStatus");
+  const switchNetworkButton = document.getElementById("switchNetworkButton");
+  // Funding, transaction status and history; shown once a wallet account is connected.
+  const walletControls = document.querySelectorAll(".wallet-only");
   connectButton.onclick = connect;
   withdrawButton.onclick = withdraw;
+  withdrawAllButton.onclick = withdrawAll;
   fundButton.onclick = fund;
+  refundButton.onclick = refund;
   balanceButton.onclick = getBalance;
   updatePriceFeedButton.onclick = updatePriceFeed;
+  acceptOwnershipButton.onclick = acceptOwnership;
+  pauseButton.onclick = () => setPaused(true);
+  unpauseButton.onclick = () => setPaused(false);
+  switchNetworkButton.onclick = switchToPreferredNetwork;
+
+  const activityPanel = createActivityPanel({
+    activityList: document.getElementById("activityList"),
+    onChange: () => leaderboard.redraw(),
+  });
+
+  const chainStore = createChainStore();
+
+  const campaignPanel = createCampaignPanel({
+    store: chainStore,
+    elements: {
+      panel: document.getElementById("campaignPanel"),
+      progress: document.getElementById("campaignProgress"),
+      summary: document.getElementById("campaignSummary"),
+    },
+  });
+
+  const actionQueue = createActionQueue({
+    store: chainStore,
+    elements: {
+      panel: document.getElementById("actionQueuePanel"),
+      list: document.getElementById("actionQueueList"),
+    },
+    onExecute: executeAction,
+    onCancel: cancelAction,
+  });
+
+  const leaderboard = createLeaderboard({
+    leaderboardList: document.getElementById("leaderboardList"),
+    store: chainStore,
+    getEvents: activityPanel.getEvents,
+  });
+
+  const fundingForm = createFundingForm({
+    store: chainStore,
+    amountInput: document.getElementById("fundAmount"),
+    unitSelect: document.getElementById("fundUnit"),
+    conversionLabel: document.getElementById("fundConversion"),
+    minimumLabel: document.getElementById("fundMinimum"),
+    fundButton,
+  });
+
+  const transactions = createTransactionManager({
+    statusElement: document.getElementById("transactionStatus"),
+    historyList: document.getElementById("transactionHistory"),
+    contractInterface: new ethers.utils.Interface(abi),
+  });
+
+  const ownerDashboard = createOwnerDashboard({
+    store: chainStore,
+    elements: {
+      role: document.getElementById("dashboardRole"),
+      owner: document.getElementById("dashboardOwner"),
+      pendingOwner: document.getElementById("dashboardPendingOwner"),
+      balance: document.getElementById("dashboardBalance"),
+      priceFeed: document.getElementById("dashboardPriceFeed"),
+      priceFeedVersion: document.getElementById("dashboardPriceFeedVersion"),
+      price: document.getElementById("dashboardPrice"),
+      funderCount: document.getElementById("dashboardFunderCount"),
+      totalRaised: document.getElementById("dashboardTotalRaised"),
+      totalWithdrawn: document.getElementById("dashboardTotalWithdrawn"),
+      epoch: document.getElementById("dashboardEpoch"),
+      controls: document.getElementById("ownerControls"),
+      treasurerControls: document.getElementById("treasurerControls"),
+      feedAdminControls: document.getElementById("feedAdminControls"),
+      guardianControls: document.getElementById("guardianControls"),
+      acceptOwnership: acceptOwnershipButton,
+    },
+  });
+
+  const formatEth = (amount) => ethers.utils.formatEther(amount) + " ETH";
+  chainStore.subscribe(["balance", "errors"], (state) => {
+    document.getElementById("balanceAmount").textContent = describeRead(state, "balance", formatEth);
+  });
+  chainStore.subscribe(["funded", "errors"], (state) => {
+    document.getElementById("userFunded").textContent = describeRead(state, "funded", formatEth);
+  });
+  chainStore.subscribe(["refundable"], ({ refundable }) => {
+    refundButton.textContent = refundable.isZero()
+      ? "Refund my contribution"
+      : `Refund my contribution (${ethers.utils.formatEther(refundable)} ETH)`;
+    refundButton.disabled = refundable.isZero();
+  });
+  chainStore.subscribe(["paused"], ({ paused }) => {
+    pausedBanner.hidden = !paused;
+    pauseButton.hidden = paused;
+    unpauseButton.hidden = !paused;
+  });
+
+  // Set once the provider is on a chain where FundMe is deployed. `readOnly`
+  // when there is no wallet and reads go through a JSON-RPC endpoint.
+  let connection;
 
   async function connect() {
     if (typeof window.ethereum !== "undefined") {
@@ -22,6 +145,7 @@
       connectButton.innerHTML = "Connected";
       const accounts = await ethereum.request({ method: "eth_accounts" });
       console.log(accounts);
+      await connectToNetwork();
     } else {
       connectButton.innerHTML = "Please install MetaMask";
     }
@@ -30,201 +154,301 @@
   async function withdraw() {
     const ethAmountW = document.getElementById("ethAmountW").value; // Get the withdrawal amount from the input field
     console.log(`Withdrawing ${ethAmountW}...`);
-    if (typeof window.ethereum !== "undefined") {
-      const provider = new ethers.providers.Web3Provider(window.ethereum);
-      await provider.send("eth_requestAccounts", []);
-      const signer = provider.getSigner();
-      const contract = new ethers.Contract(contractAddress, abi, signer);
-      try {
-        // Get the contract balance
-        const contractBalance = await contract.getContractBalance();
-        
-        // Check if the withdrawal amount is greater than the contract balance
-        if (ethers.utils.parseEther(ethAmountW).gt(contractBalance)) {
-          alert("There is not enough amount to withdraw.");
-        } else {
-          const transactionResponse = await contract.withdraw(ethers.utils.parseEther(ethAmountW));
-          await listenForTransactionMine(transactionResponse, provider);
-        }
-      } catch (error) {
-        console.log(error);
+    try {
+      const { provider } = requireConnection();
+      const contract = getSignedContract();
+      // Get the contract balance
+      const contractBalance = await contract.getContractBalance();
+
+      // Check if the withdrawal amount is greater than the contract balance
+      if (ethers.utils.parseEther(ethAmountW || "0").gt(contractBalance)) {
+        transactions.reject("Withdraw", "there is not enough balance to withdraw.");
+        return;
       }
-    } else {
-      // Handle the case when MetaMask is not installed
-      console.log("Please install MetaMask");
+      await sendOrQueue(`Withdraw ${ethAmountW} ETH`, contract, "withdraw", [ethers.utils.parseEther(ethAmountW)], provider);
+      await chainStore.refresh();
+    } catch (error) {
+      console.log(error);
     }
   }
 
-
+  async function withdrawAll() {
+    try {
+      const { provider } = requireConnection();
+      const contract = getSignedContract();
+      const contractBalance = await contract.getContractBalance();
+      if (contractBalance.isZero()) {
+        transactions.reject("Withdraw all", "there is nothing to withdraw.");
+        return;
+      }
+      console.log(`Withdrawing ${ethers.utils.formatEther(contractBalance)}...`);
+      await sendOrQueue(
+        `Withdraw all (${ethers.utils.formatEther(contractBalance)} ETH)`,
+        contract,
+        "withdraw",
+        [contractBalance],
+        provider
+      );
+      await chainStore.refresh();
+    } catch (error) {
+      console.log(error);
+    }
+  }
 
   async function fund() {
-    const ethAmount = document.getElementById("ethAmount").value;
-  
-    // Validate the input
-    if (!ethAmount || parseFloat(ethAmount) <= 0) {
-      alert("Please enter a valid ETH amount.");
+    // Validate the input against the current USD minimum
+    let fundingValue;
+    try {
+      requireConnection();
+      fundingValue = fundingForm.getFundingValue();
+    } catch (error) {
+      transactions.reject("Fund", error.message);
       return;
     }
-  
-    const transactionStatus = document.getElementById("transactionStatus");
-  
+
     try {
-      transactionStatus.textContent = "Transaction Status: Initiating...";
-  
-      if (typeof window.ethereum !== "undefined") {
-        const provider = new ethers.providers.Web3Provider(window.ethereum);
-        const signer = provider.getSigner();
-        const contract = new ethers.Contract(contractAddress, abi, signer);
-  
-        const transactionResponse = await contract.fund({
-          value: ethers.utils.parseEther(ethAmount),
-        });
-  
-        console.log("Transaction sent, waiting for confirmation...");
-        transactionStatus.textContent = "Transaction Status: Confirming...";
-  
-        await transactionResponse.wait(); // Wait for transaction confirmation
-  
-        console.log("Transaction confirmed!");
-        transactionStatus.textContent = "Transaction Status: Confirmed";
-  
-        // You can add more logging or update UI here
-  
-        alert("Funding successful!");
-      } else {
-        console.error("Please install MetaMask");
-        transactionStatus.textContent = "Transaction Status: Failed";
-        alert("Funding failed. Please try again.");
-      }
+      const { provider } = requireConnection();
+      const contract = getSignedContract();
+      await transactions.send(
+        `Fund ${ethers.utils.formatEther(fundingValue)} ETH`,
+        () => contract.fund({ value: fundingValue }),
+        provider
+      );
+      await chainStore.refresh();
     } catch (error) {
       console.error("Error while funding:", error);
-      transactionStatus.textContent = "Transaction Status: Failed";
-      alert("Funding failed. Please try again.");
     }
   }
-  
-  async function getBalance() {
-    if (typeof window.ethereum !== "undefined") {
-      const provider = new ethers.providers.Web3Provider(window.ethereum);
-      const contract = new ethers.Contract(contractAddress, abi, provider);
-      try {
-        const balance = await contract.getContractBalance();
-        const balanceAmount = document.getElementById("balanceAmount");
-        balanceAmount.textContent = ethers.utils.formatEther(balance) + " ETH";
-      } catch (error) {
-        console.log(error);
+
+  async function refund() {
+    try {
+      const { provider } = requireConnection();
+      const contract = getSignedContract();
+      const account = await contract.signer.getAddress();
+      const funded = await contract.getRefundableAmount(account);
+      if (funded.isZero()) {
+        transactions.reject("Refund", "you have nothing to refund since the last withdrawal.");
+        return;
       }
-    } else {
-      balanceButton.innerHTML = "Please install MetaMask";
+      await transactions.send(
+        `Refund ${ethers.utils.formatEther(funded)} ETH`,
+        () => contract.refund(),
+        provider
+      );
+      await chainStore.refresh();
+    } catch (error) {
+      console.log(error);
     }
   }
 
-
+  async function getBalance() {
+    try {
+      const { contract } = requireConnection();
+      const balance = await contract.getContractBalance();
+      const balanceAmount = document.getElementById("balanceAmount");
+      balanceAmount.textContent = ethers.utils.formatEther(balance) + " ETH";
+    } catch (error) {
+      console.log(error);
+    }
+  }
 
   async function updatePriceFeed() {
     const newPriceFeedAddress = document.getElementById("newPriceFeedAddress").value;
     if (!newPriceFeedAddress) {
-      alert("Please enter a valid new Price Feed address.");
+      transactions.reject("Update price feed", "please enter a valid new price feed address.");
       return;
     }
-  
-    if (typeof window.ethereum !== "undefined") {
-      const provider = new ethers.providers.Web3Provider(window.ethereum);
-      const signer = provider.getSigner();
-      const contract = new ethers.Contract(contractAddress, abi, signer);
-  
-      try {
-        const transactionResponse = await contract.updatePriceFeed(newPriceFeedAddress);
-        await listenForTransactionMine(transactionResponse, provider);
-        alert("Price Feed updated successfully.");
-      } catch (error) {
-        console.log(error);
-        alert("Error updating Price Feed: " + error.message);
+
+    try {
+      const { provider } = requireConnection();
+      const problems = await validateAggregator(newPriceFeedAddress, provider);
+      if (problems.length > 0) {
+        transactions.reject("Update price feed", `not a usable price feed: ${problems.join("; ")}`);
+        return;
       }
-    } else {
-      alert("Please install MetaMask");
+      const contract = getSignedContract();
+      await sendOrQueue("Update price feed", contract, "updatePriceFeed", [newPriceFeedAddress], provider);
+      await chainStore.refresh();
+    } catch (error) {
+      console.log(error);
     }
-  }  
+  }
 
-  function listenForTransactionMine(transactionResponse, provider) {
-    console.log(`Mining ${transactionResponse.hash}`);
-    return new Promise((resolve, reject) => {
-      try {
-        provider.once(transactionResponse.hash, (transactionReceipt) => {
-          console.log(
-            `Completed with ${transactionReceipt.confirmations} confirmations. `
-          );
-          resolve();
-        });
-      } catch (error) {
-        reject(error);
-      }
-    });
+  async function acceptOwnership() {
+    try {
+      const { provider } = requireConnection();
+      const contract = getSignedContract();
+      await transactions.send("Accept ownership", () => contract.acceptOwnership(), provider);
+      await refreshDashboard();
+    } catch (error) {
+      console.log(error);
+    }
   }
 
-  async function listenForEvents() {
-    if (typeof window.ethereum !== "undefined") {
-      const provider = new ethers.providers.Web3Provider(window.ethereum);
-      const contract = new ethers.Contract(contractAddress, abi, provider);
+  async function setPaused(paused) {
+    try {
+      const { provider } = requireConnection();
+      const contract = getSignedContract();
+      await transactions.send(
+        paused ? "Pause funding" : "Unpause funding",
+        () => (paused ? contract.pause() : contract.unpause()),
+        provider
+      );
+      await chainStore.refresh();
+    } catch (error) {
+      console.log(error);
+    }
+  }
 
-      // Listen for the FundContribution event
-      contract.on("FundContribution", (funder, amount) => {
-        console.log("FundContribution Event:", funder, amount);
-        updateUIForFundContribution(funder, amount);
-      });
+  async function executeAction(id) {
+    try {
+      const { provider } = requireConnection();
+      const contract = getSignedContract();
+      await transactions.send(`Execute action #${id}`, () => contract.executeAction(id), provider);
+      await chainStore.refresh();
+    } catch (error) {
+      console.log(error);
+    }
+  }
 
-      // Listen for the FundsWithdrawn event
-      contract.on("FundsWithdrawn", (owner, amount) => {
-        console.log("FundsWithdrawn Event:", owner, amount);
-        updateUIForFundsWithdrawn(owner, amount);
-      });
+  async function cancelAction(id) {
+    try {
+      const { provider } = requireConnection();
+      const contract = getSignedContract();
+      await transactions.send(`Cancel action #${id}`, () => contract.cancelAction(id), provider);
+      await chainStore.refresh();
+    } catch (error) {
+      console.log(error);
+    }
+  }
 
-      // Listen for the PriceFeedUpdated event
-      contract.on("PriceFeedUpdated", (previousPriceFeed, newPriceFeed) => {
-        console.log("PriceFeedUpdated Event:", previousPriceFeed, newPriceFeed);
-        updateUIForPriceFeedUpdated(previousPriceFeed, newPriceFeed);
-      });
+  // Sends `method` straight away, or queues it when FundMe has a timelock;
+  // queued calls show up under Queued Actions until they can be executed.
+  function sendOrQueue(label, contract, method, args, provider) {
+    const { timelock } = chainStore.getState();
+    if (!timelock || timelock.delay === 0) {
+      return transactions.send(label, () => contract[method](...args), provider);
     }
+    const data = contract.interface.encodeFunctionData(method, args);
+    return transactions.send(`Queue ${label.toLowerCase()}`, () => contract.queueAction(data), provider);
   }
 
-  // Example functions to update the UI based on events
-  function updateUIForFundContribution(funder, amount) {
-    const fundContributionDiv = document.getElementById("fundContribution");
-    fundContributionDiv.innerHTML = `Funder: ${funder}, Amount: ${ethers.utils.formatEther(amount)} ETH`;
+  function requireConnection() {
+    if (!connection) {
+      throw new Error(networkStatus.textContent || "Please connect to a supported network.");
+    }
+    return connection;
   }
 
-  function updateUIForFundsWithdrawn(owner, amount) {
-    const fundsWithdrawnDiv = document.getElementById("fundsWithdrawn");
-    fundsWithdrawnDiv.innerHTML = `withdrawer Owner: ${owner}, Withdrawn Amount: ${ethers.utils.formatEther(amount)} ETH`;
+  function getSignedContract() {
+    const { provider, contract, readOnly } = requireConnection();
+    if (readOnly) {
+      throw new Error("Connect a wallet to send transactions.");
+    }
+    return contract.connect(provider.getSigner());
   }
 
-  function updateUIForPriceFeedUpdated(previousPriceFeed, newPriceFeed) {
-    const priceFeedUpdatedDiv = document.getElementById("priceFeedUpdated");
-    priceFeedUpdatedDiv.innerHTML = `Price Feed Updated: ${newPriceFeed}`;
+  function renderNetworkStatus(network, readOnly) {
+    networkStatus.classList.toggle("unsupported", !network.supported);
+    if (readOnly) {
+      networkStatus.textContent = network.supported
+        ? `Read-only view of ${getNetworkName(network.chainId)}, connect a wallet to fund`
+        : network.message;
+      switchNetworkButton.hidden = true;
+    } else if (network.supported) {
+      networkStatus.textContent = `Connected to ${getNetworkName(network.chainId)}`;
+      switchNetworkButton.hidden = true;
+    } else {
+      networkStatus.textContent = network.message;
+      switchNetworkButton.textContent = `Switch to ${getNetworkName(getPreferredChainId())}`;
+      // No use offering the chain whose deployment was just rejected
+      switchNetworkButton.hidden = network.chainId === getPreferredChainId();
+    }
   }
 
-  if (window.ethereum) {
-    listenForEvents();
-  } else {
-    console.error("Please install MetaMask or use a compatible Ethereum wallet.");
+  // The wallet's provider, or without a wallet a JSON-RPC provider for the
+  // preferred chain (see getReadOnlyRpcUrl).
+  function createProvider() {
+    if (window.ethereum) {
+      return { provider: new ethers.providers.Web3Provider(window.ethereum, "any"), readOnly: false };
+    }
+    const chainId = getPreferredChainId();
+    const provider = new ethers.providers.JsonRpcProvider(getReadOnlyRpcUrl(chainId), chainId);
+    return { provider, readOnly: true };
   }
-// *************************************************************
-// Function to update the balance
-async function updateBalance() {
-  if (typeof window.ethereum !== "undefined") {
-    const provider = new ethers.providers.Web3Provider(window.ethereum);
-    const contract = new ethers.Contract(contractAddress, abi, provider);
 
+  // Checks eth_chainId and the contract code, then (re)loads everything that
+  // reads from the chain. Runs on load, on connect and on chainChanged.
+  async function connectToNetwork() {
+    activityPanel.stop();
+    leaderboard.reset();
+    campaignPanel.reset();
+    actionQueue.reset();
+    chainStore.stop();
+    fundingForm.reset();
+    ownerDashboard.reset();
+    pausedBanner.hidden = true;
+    connection = undefined;
+    walletControls.forEach((element) => (element.hidden = true));
+    const { provider, readOnly } = createProvider();
     try {
-      const balance = await contract.getContractBalance();
-      const balanceAmount = document.getElementById("balanceAmount");
-      balanceAmount.textContent = ethers.utils.formatEther(balance) + " ETH";
+      const network = await checkNetwork(provider);
+      renderNetworkStatus(network, readOnly);
+      if (!network.supported) {
+        return;
+      }
+      const contract = new ethers.Contract(network.contractAddress, abi, provider);
+      connection = { provider, contract, chainId: network.chainId, readOnly };
+      const account = await getAccount();
+      await Promise.all([
+        activityPanel.load(contract, provider, deploymentBlocks[network.chainId]),
+        chainStore.load(contract, provider, account),
+        leaderboard.load(contract, network.chainId),
+      ]);
+      await refreshDashboard();
     } catch (error) {
       console.log(error);
+      if (readOnly) {
+        networkStatus.classList.add("unsupported");
+        networkStatus.textContent = `Could not reach ${provider.connection.url}, install a wallet or open the page with ?rpc=<url>.`;
+      }
     }
   }
-}
 
-// Call updateBalance every 10 seconds (adjust the interval as needed)
-setInterval(updateBalance, 10000); // 10 seconds
+  async function getAccount() {
+    if (!connection || connection.readOnly) {
+      return undefined;
+    }
+    const [account] = await connection.provider.send("eth_accounts", []);
+    return account;
+  }
 
+  // Picks up the connected account (if any): reads its owner and role status,
+  // re-reads its funded amount and shows the wallet-only controls.
+  async function refreshDashboard() {
+    if (!connection) {
+      return;
+    }
+    const { contract } = connection;
+    const account = await getAccount();
+    walletControls.forEach((element) => (element.hidden = !account));
+    transactions.setAccount(connection.chainId, account);
+    await Promise.all([ownerDashboard.load(contract, account), chainStore.setAccount(account)]);
+  }
+
+  async function switchToPreferredNetwork() {
+    try {
+      await switchNetwork(window.ethereum, getPreferredChainId());
+    } catch (error) {
+      console.log(error);
+      alert("Could not switch network: " + error.message);
+    }
+  }
+
+  if (window.ethereum) {
+    window.ethereum.on("chainChanged", connectToNetwork);
+    window.ethereum.on("accountsChanged", () => refreshDashboard().catch((error) => console.log(error)));
+  } else {
+    console.log("No wallet found, loading a read-only view.");
+  }
+  connectToNetwork();
@@ -0,0 +1,124 @@
+import { ethers } from "./ethers-5.6.esm.min.js";
+import { abi, contractAddresses } from "./constants.js";
+
+// Chains the dApp can talk to. `rpcUrls`, `nativeCurrency` and
+// `blockExplorerUrls` are what wallet_addEthereumChain needs.
+export const networks = {
+  11155111: {
+    name: "Sepolia",
+    rpcUrls: ["https://rpc.sepolia.org"],
+    nativeCurrency: { name: "Sepolia Ether", symbol: "ETH", decimals: 18 },
+    explorerUrl: "https://sepolia.etherscan.io",
+  },
+  31337: {
+    name: "Hardhat (local)",
+    rpcUrls: ["http://127.0.0.1:8545"],
+    nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+    explorerUrl: undefined,
+  },
+};
+
+export const DEFAULT_CHAIN_ID = 11155111;
+
+export function getExplorerUrl(chainId) {
+  const network = networks[chainId];
+  return network ? network.explorerUrl : undefined;
+}
+
+export function getContractAddress(chainId) {
+  return contractAddresses[chainId];
+}
+
+export function getNetworkName(chainId) {
+  return networks[chainId] ? networks[chainId].name : `chain ${chainId}`;
+}
+
+// The chain to offer when the wallet is on an unsupported one: `?chain=31337`
+// points the page at a local Hardhat node, otherwise the default chain.
+export function getPreferredChainId() {
+  const requested = Number(new URLSearchParams(window.location.search).get("chain"));
+  return requested && networks[requested] ? requested : DEFAULT_CHAIN_ID;
+}
+
+// The JSON-RPC endpoint used to read `chainId` without a wallet: `?rpc=<url>`
+// when given, otherwise the network's first public RPC URL (the local Hardhat
+// node for 31337).
+export function getReadOnlyRpcUrl(chainId) {
+  const requested = new URLSearchParams(window.location.search).get("rpc");
+  if (requested) {
+    return requested;
+  }
+  return networks[chainId] ? networks[chainId].rpcUrls[0] : undefined;
+}
+
+// Names of the ABI functions missing from a contract's deployed code.
+// Solidity's dispatcher compares the calldata against every external
+// selector, so each one appears in the code (without leading zero bytes).
+function findMissingFunctions(code) {
+  const contractInterface = new ethers.utils.Interface(abi);
+  const bytecode = code.toLowerCase();
+  return Object.values(contractInterface.functions)
+    .filter((fragment) => !bytecode.includes(contractInterface.getSighash(fragment).slice(2).replace(/^(00)+/, "")))
+    .map((fragment) => fragment.name);
+}
+
+// Checks the wallet's chain, that FundMe has code there and that the code
+// matches the ABI, so an older deployment is reported instead of failing
+// every read.
+export async function checkNetwork(provider) {
+  const chainId = Number(await provider.send("eth_chainId", []));
+  const contractAddress = getContractAddress(chainId);
+  if (!networks[chainId] || !contractAddress) {
+    return {
+      chainId,
+      supported: false,
+      message: `FundMe is not deployed on ${getNetworkName(chainId)}.`,
+    };
+  }
+  const code = await provider.getCode(contractAddress);
+  if (code === "0x") {
+    return {
+      chainId,
+      supported: false,
+      message: `No contract found at ${contractAddress} on ${getNetworkName(chainId)}.`,
+    };
+  }
+  const missing = findMissingFunctions(code);
+  if (missing.length > 0) {
+    return {
+      chainId,
+      supported: false,
+      message: `The contract at ${contractAddress} on ${getNetworkName(chainId)} is an older FundMe than this page expects (no ${missing[0]}). Redeploy it to use the page there.`,
+    };
+  }
+  return { chainId, supported: true, contractAddress };
+}
+
+// Asks the wallet to switch chains, adding the chain first if it does not know it.
+export async function switchNetwork(ethereum, chainId) {
+  const chainIdHex = `0x${chainId.toString(16)}`;
+  try {
+    await ethereum.request({
+      method: "wallet_switchEthereumChain",
+      params: [{ chainId: chainIdHex }],
+    });
+  } catch (error) {
+    // 4902: the wallet does not know this chain yet
+    if (error.code !== 4902 && !(error.data && error.data.originalError && error.data.originalError.code === 4902)) {
+      throw error;
+    }
+    const network = networks[chainId];
+    await ethereum.request({
+      method: "wallet_addEthereumChain",
+      params: [
+        {
+          chainId: chainIdHex,
+          chainName: network.name,
+          rpcUrls: network.rpcUrls,
+          nativeCurrency: network.nativeCurrency,
+          blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : undefined,
+        },
+      ],
+    });
+  }
+}
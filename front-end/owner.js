@@ -0,0 +1,106 @@
+import { ethers } from "./ethers-5.6.esm.min.js";
+import { formatUsd } from "./price.js";
+import { describeRead } from "./store.js";
+
+// FundMe role ids (keccak256 of the constant's name), in display order.
+const ROLES = [
+  { name: "treasurer", id: ethers.utils.id("TREASURER_ROLE"), control: "treasurerControls" },
+  { name: "feed admin", id: ethers.utils.id("FEED_ADMIN_ROLE"), control: "feedAdminControls" },
+  { name: "guardian", id: ethers.utils.id("GUARDIAN_ROLE"), control: "guardianControls" },
+];
+
+function setText(element, text) {
+  element.textContent = text;
+}
+
+function describeRoles(isOwner, isPendingOwner, roles) {
+  if (isOwner) return "You are the owner, with every role";
+  const parts = [];
+  if (roles.length > 0) {
+    const names = roles.length > 1 ? `${roles.slice(0, -1).join(", ")} and ${roles[roles.length - 1]}` : roles[0];
+    parts.push(`You hold the ${names} role${roles.length > 1 ? "s" : ""}`);
+  }
+  if (isPendingOwner) parts.push("You can accept ownership");
+  return parts.length > 0 ? parts.join(". ") : "Read-only view";
+}
+
+// Contract overview for everyone, plus the controls of the roles the
+// connected account holds: withdraw for treasurers, price feed for feed
+// admins, pause for guardians, all of them for the owner, and accept
+// ownership for the pending owner.
+// Balance, price and funding figures follow the chain store; owner, roles and
+// feed version are read on load.
+export function createOwnerDashboard({ elements, store }) {
+  let isOwner = false;
+  let contract;
+  let priceFeedAddress;
+
+  const formatEth = (amount) => `${ethers.utils.formatEther(amount)} ETH`;
+  store.subscribe(["balance", "errors"], (state) => {
+    setText(elements.balance, describeRead(state, "balance", formatEth));
+  });
+  store.subscribe(["funding", "errors"], (state) => {
+    setText(elements.funderCount, describeRead(state, "funding", (funding) => funding.funderCount.toString()));
+  });
+  store.subscribe(["totals", "errors"], (state) => {
+    setText(elements.totalRaised, describeRead(state, "totals", (totals) => formatEth(totals.raised)));
+    setText(elements.totalWithdrawn, describeRead(state, "totals", (totals) => formatEth(totals.withdrawn)));
+    setText(elements.epoch, describeRead(state, "totals", (totals) => totals.epoch.toString()));
+  });
+
+  // getVersion() only changes with the feed, so it is re-read on a swap.
+  function renderPriceFeed(quote) {
+    if (!contract || !quote || quote.priceFeedAddress === priceFeedAddress) return;
+    priceFeedAddress = quote.priceFeedAddress;
+    setText(elements.priceFeed, priceFeedAddress);
+    contract
+      .getVersion()
+      .then((version) => setText(elements.priceFeedVersion, version.toString()))
+      .catch((error) => console.log(error));
+  }
+
+  store.subscribe(["quote", "errors"], (state) => {
+    setText(
+      elements.price,
+      describeRead(state, "quote", (quote) =>
+        quote.problem ? `${formatUsd(quote.price)} (unusable: ${quote.problem})` : formatUsd(quote.price)
+      )
+    );
+    renderPriceFeed(state.quote);
+  });
+
+  async function load(fundMe, account) {
+    if (contract !== fundMe) {
+      contract = fundMe;
+      priceFeedAddress = undefined;
+    }
+    const [owner, pendingOwner, ...held] = await Promise.all([
+      contract.getOwner(),
+      contract.getPendingOwner(),
+      ...ROLES.map((role) => (account ? contract.hasRole(role.id, account) : false)),
+    ]);
+    const isAccount = (address) => Boolean(account) && account.toLowerCase() === address.toLowerCase();
+    isOwner = isAccount(owner);
+    const isPendingOwner = isAccount(pendingOwner);
+    const roles = ROLES.filter((role, index) => held[index]);
+
+    setText(elements.role, describeRoles(isOwner, isPendingOwner, isOwner ? [] : roles.map((role) => role.name)));
+    setText(elements.owner, owner);
+    setText(elements.pendingOwner, pendingOwner === ethers.constants.AddressZero ? "None" : pendingOwner);
+    ROLES.forEach((role) => (elements[role.control].hidden = !roles.includes(role)));
+    elements.controls.hidden = roles.length === 0;
+    elements.acceptOwnership.hidden = !isPendingOwner;
+    renderPriceFeed(store.getState().quote);
+  }
+
+  function reset() {
+    isOwner = false;
+    contract = undefined;
+    priceFeedAddress = undefined;
+    elements.controls.hidden = true;
+    elements.acceptOwnership.hidden = true;
+    setText(elements.role, "Connect to a supported network to see the contract.");
+  }
+
+  return { load, reset, isOwner: () => isOwner };
+}
@@ -0,0 +1,218 @@
+import { ethers } from "./ethers-5.6.esm.min.js";
+
+// The AggregatorV3Interface functions the dApp reads.
+export const aggregatorAbi = [
+  "function decimals() view returns (uint8)",
+  "function description() view returns (string)",
+  "function version() view returns (uint256)",
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+];
+
+const ONE_ETHER = ethers.constants.WeiPerEther;
+
+// Scales a feed answer to 18 decimals, the way PriceConverter.getPrice does.
+function scaleAnswer(answer, decimals) {
+  const ten = ethers.BigNumber.from(10);
+  return decimals <= 18 ? answer.mul(ten.pow(18 - decimals)) : answer.div(ten.pow(decimals - 18));
+}
+
+// Why PriceConverter.getPrice would revert on `roundData` at `timestamp`,
+// checked in the same order, or undefined when FundMe can price with it.
+function findPriceProblem(roundData, heartbeat, timestamp) {
+  if (roundData.answer.lte(0)) return "its latest answer is not positive";
+  if (roundData.answeredInRound.lt(roundData.roundId)) return "its latest round is incomplete";
+  const age = timestamp - roundData.updatedAt.toNumber();
+  if (age > heartbeat) return `its latest answer is ${age}s old, more than the ${heartbeat}s FundMe accepts`;
+  return undefined;
+}
+
+// Reads the feed FundMe currently uses and returns its price scaled to 18
+// decimals. `problem` says why FundMe would refuse the answer (stale,
+// incomplete or not positive) at `timestamp`, the latest block's.
+export async function readPrice(contract, provider, timestamp) {
+  const priceFeedAddress = await contract.getPriceFeed();
+  const priceFeed = new ethers.Contract(priceFeedAddress, aggregatorAbi, provider);
+  const [decimals, roundData, minimumUsd, heartbeat] = await Promise.all([
+    priceFeed.decimals(),
+    priceFeed.latestRoundData(),
+    contract.MINIMUM_USD(),
+    contract.getPriceFeedHeartbeat(),
+  ]);
+  const price = scaleAnswer(roundData.answer, decimals);
+  return {
+    priceFeedAddress,
+    price,
+    minimumUsd,
+    updatedAt: roundData.updatedAt.toNumber(),
+    problem: findPriceProblem(roundData, heartbeat.toNumber(), timestamp),
+  };
+}
+
+// Checks that `address` behaves like a Chainlink aggregator before FundMe is
+// pointed at it. Returns a list of problems, empty when it looks right.
+export async function validateAggregator(address, provider) {
+  if (!ethers.utils.isAddress(address)) {
+    return [`${address} is not a valid address.`];
+  }
+  if ((await provider.getCode(address)) === "0x") {
+    return [`There is no contract at ${address}.`];
+  }
+  const priceFeed = new ethers.Contract(address, aggregatorAbi, provider);
+  try {
+    const [roundData] = await Promise.all([priceFeed.latestRoundData(), priceFeed.decimals(), priceFeed.version()]);
+    const problems = [];
+    if (roundData.answer.lte(0)) {
+      problems.push(`The feed's latest answer (${roundData.answer}) is not positive.`);
+    }
+    if (roundData.answeredInRound.lt(roundData.roundId)) {
+      problems.push(`The feed's latest round (${roundData.roundId}) has no answer of its own.`);
+    }
+    return problems;
+  } catch (error) {
+    return [`${address} does not implement AggregatorV3Interface.`];
+  }
+}
+
+// Both amounts are 18 decimals fixed point; rounds up so the result never
+// falls below the requested USD value.
+export function usdToWei(usd, price) {
+  return usd.mul(ONE_ETHER).add(price.sub(1)).div(price);
+}
+
+export function weiToUsd(wei, price) {
+  return wei.mul(price).div(ONE_ETHER);
+}
+
+export function formatUsd(usd) {
+  const [whole, fraction = ""] = ethers.utils.formatEther(usd).split(".");
+  return `$${whole}.${fraction.padEnd(2, "0").slice(0, 2)}`;
+}
+
+// Drives the fund amount input: USD or ETH entry, the live conversion, the
+// minimum hint and the below-minimum guard. The price comes from the chain
+// store, so it follows every block and a swapped price feed.
+export function createFundingForm({ store, amountInput, unitSelect, conversionLabel, minimumLabel, fundButton }) {
+  let quote;
+  // Why the last price read failed, if it did; the page would quote a price
+  // that fund() cannot use.
+  let priceError;
+  // Why funding is closed (campaign over, or paused by a guardian), if it is.
+  let closedReason;
+
+  function parseInput() {
+    const text = amountInput.value.trim();
+    if (!text || !quote) {
+      return undefined;
+    }
+    try {
+      const amount = ethers.utils.parseEther(text);
+      if (amount.lte(0)) {
+        return undefined;
+      }
+      return unitSelect.value === "usd"
+        ? { wei: usdToWei(amount, quote.price), usd: amount }
+        : { wei: amount, usd: weiToUsd(amount, quote.price) };
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  function render() {
+    if (priceError) {
+      minimumLabel.textContent = `Could not read the ETH/USD price: ${priceError}`;
+      conversionLabel.textContent = "Funding is unavailable until the price can be read.";
+      fundButton.disabled = true;
+      return;
+    }
+    if (!quote) {
+      minimumLabel.textContent = "Loading price…";
+      conversionLabel.textContent = "";
+      return;
+    }
+    if (quote.problem) {
+      minimumLabel.textContent = `The ETH/USD price feed cannot be used: ${quote.problem}.`;
+      conversionLabel.textContent = "Funding is unavailable until the price feed recovers.";
+      fundButton.disabled = true;
+      return;
+    }
+    const minimumWei = usdToWei(quote.minimumUsd, quote.price);
+    minimumLabel.textContent = `1 ETH = ${formatUsd(quote.price)} · minimum ${formatUsd(
+      quote.minimumUsd
+    )} ≈ ${ethers.utils.formatEther(minimumWei)} ETH`;
+
+    if (closedReason) {
+      conversionLabel.textContent = closedReason;
+      fundButton.disabled = true;
+      return;
+    }
+    const amount = parseInput();
+    if (!amount) {
+      conversionLabel.textContent = "";
+      fundButton.disabled = false;
+      return;
+    }
+    const belowMinimum = amount.usd.lt(quote.minimumUsd);
+    conversionLabel.textContent =
+      unitSelect.value === "usd"
+        ? `≈ ${ethers.utils.formatEther(amount.wei)} ETH`
+        : `≈ ${formatUsd(amount.usd)}`;
+    if (belowMinimum) {
+      conversionLabel.textContent += ` · below the ${formatUsd(quote.minimumUsd)} minimum`;
+    }
+    conversionLabel.classList.toggle("below-minimum", belowMinimum);
+    fundButton.disabled = belowMinimum;
+  }
+
+  // Returns the amount to send in wei, or throws a message for the user.
+  function getFundingValue() {
+    if (priceError) {
+      throw new Error(`Could not read the ETH/USD price: ${priceError}`);
+    }
+    if (!quote) {
+      throw new Error("The ETH/USD price has not loaded yet.");
+    }
+    if (closedReason) {
+      throw new Error(closedReason);
+    }
+    if (quote.problem) {
+      throw new Error(`The ETH/USD price feed cannot be used: ${quote.problem}.`);
+    }
+    const amount = parseInput();
+    if (!amount) {
+      throw new Error("Please enter a valid amount.");
+    }
+    if (amount.usd.lt(quote.minimumUsd)) {
+      throw new Error(
+        `You need to fund at least ${formatUsd(quote.minimumUsd)} (≈ ${ethers.utils.formatEther(
+          usdToWei(quote.minimumUsd, quote.price)
+        )} ETH).`
+      );
+    }
+    return amount.wei;
+  }
+
+  amountInput.addEventListener("input", render);
+  unitSelect.addEventListener("change", render);
+  store.subscribe(["quote", "campaign", "paused", "errors"], (state) => {
+    quote = state.quote;
+    priceError = state.errors && state.errors.quote;
+    closedReason =
+      state.campaign && state.campaign.fundingClosed
+        ? "The campaign has ended, funding is closed."
+        : state.paused
+        ? "Funding is paused."
+        : undefined;
+    render();
+  });
+  render();
+
+  // Forgets the price until the store loads the next network.
+  function reset() {
+    quote = undefined;
+    priceError = undefined;
+    closedReason = undefined;
+    render();
+  }
+
+  return { getFundingValue, reset };
+}
@@ -0,0 +1,201 @@
+import { ethers } from "./ethers-5.6.esm.min.js";
+import { readPrice } from "./price.js";
+import { readCampaign } from "./campaign.js";
+import { readTimelock } from "./timelock.js";
+
+const ZERO = ethers.constants.Zero;
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (a === undefined || b === undefined) return false;
+  if (ethers.BigNumber.isBigNumber(a)) return a.eq(b);
+  if (typeof a !== "object") return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => sameValue(a[key], b[key]));
+}
+
+// Text for one key of the store's state: `format(value)`, with why the last
+// read failed when it did, or "" before the first read.
+export function describeRead(state, key, format) {
+  const error = state.errors && state.errors[key];
+  if (!(key in state)) return error ? `Could not read: ${error}` : "";
+  return error ? `${format(state[key])} (could not refresh: ${error})` : format(state[key]);
+}
+
+/**
+ * Chain state shared by the page: `balance`, `funded` and `refundable` (for
+ * the connected account), `totals` ({ raised, withdrawn, epoch }), `funding`
+ * ({ funderCount }), `paused`, `campaign` (see readCampaign), `timelock` (see
+ * readTimelock) and `quote` (see readPrice). Refetched at most once per
+ * block, and on FundMe events, while the tab is visible. Subscribers are only
+ * called for the keys that changed. `errors` maps each key whose last read
+ * failed to the reason; the key keeps its last good value. `block` is the
+ * latest block ({ number, timestamp, readAt }), see getChainTime.
+ */
+export function createChainStore() {
+  const state = {};
+  const subscribers = new Set();
+  let source;
+  let lastBlock;
+  let refreshing;
+  let refreshAgain = false;
+  let detach = () => {};
+
+  function set(next) {
+    const changed = Object.keys(next).filter((key) => !sameValue(state[key], next[key]));
+    if (changed.length === 0) return;
+    Object.assign(state, next);
+    for (const subscriber of subscribers) {
+      if (subscriber.keys.some((key) => changed.includes(key))) {
+        subscriber.render(state);
+      }
+    }
+  }
+
+  // How each key is read. Keys are settled separately, so one failing read
+  // (a reverting price feed, say) leaves the others updating.
+  function createReaders({ contract, provider, account }, block) {
+    return {
+      balance: () => contract.getContractBalance(),
+      funded: async () => (account ? contract.getAddressToAmountFunded(account) : ZERO),
+      refundable: async () => (account ? contract.getRefundableAmount(account) : ZERO),
+      totals: async () => {
+        const [raised, withdrawn, epoch] = await Promise.all([
+          contract.getTotalRaised(),
+          contract.getTotalWithdrawn(),
+          contract.getCurrentEpoch(),
+        ]);
+        return { raised, withdrawn, epoch };
+      },
+      funding: async () => ({ funderCount: (await contract.getFundersCount()).toNumber() }),
+      paused: () => contract.isPaused(),
+      campaign: () => readCampaign(contract),
+      timelock: () => readTimelock(contract),
+      quote: () => readPrice(contract, provider, block.timestamp),
+    };
+  }
+
+  // The latest block, read first: FundMe compares against its timestamp, so
+  // the page does too. `readAt` only moves with a new block.
+  async function readBlock(provider) {
+    const { number, timestamp } = await provider.getBlock("latest");
+    if (state.block && state.block.number === number) return state.block;
+    return { number, timestamp, readAt: Date.now() };
+  }
+
+  // A key whose read failed is left out, so it keeps its last value, and
+  // its error goes in `errors`.
+  async function fetchState(current) {
+    const block = await readBlock(current.provider);
+    const readers = Object.entries(createReaders(current, block));
+    const results = await Promise.allSettled(readers.map(([, read]) => read()));
+    const next = { block, errors: {} };
+    results.forEach((result, index) => {
+      const key = readers[index][0];
+      if (result.status === "fulfilled") {
+        next[key] = result.value;
+      } else {
+        console.log(result.reason);
+        next.errors[key] = result.reason.reason || result.reason.message;
+      }
+    });
+    return next;
+  }
+
+  // Runs one fetch at a time; a request made while one is running is
+  // folded into a single follow-up fetch.
+  async function refresh() {
+    if (!source) return;
+    if (refreshing) {
+      refreshAgain = true;
+      return refreshing;
+    }
+    const current = source;
+    refreshing = fetchState(current)
+      .then((next) => {
+        if (current === source) set(next);
+      })
+      .catch((error) => console.log(error))
+      .finally(() => {
+        refreshing = undefined;
+        if (refreshAgain) {
+          refreshAgain = false;
+          refresh();
+        }
+      });
+    return refreshing;
+  }
+
+  function onBlock(blockNumber) {
+    if (lastBlock !== undefined && blockNumber <= lastBlock) return;
+    lastBlock = blockNumber;
+    refresh();
+  }
+
+  function attach() {
+    detach();
+    if (!source || document.hidden) return;
+    const { contract, provider } = source;
+    const filter = { address: contract.address };
+    const onLog = (log) => onBlock(log.blockNumber);
+    provider.on("block", onBlock);
+    provider.on(filter, onLog);
+    detach = () => {
+      provider.off("block", onBlock);
+      provider.off(filter, onLog);
+      detach = () => {};
+    };
+  }
+
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) {
+      detach();
+    } else if (source) {
+      attach();
+      refresh();
+    }
+  });
+
+  /**
+   * Calls `render(state)` whenever one of `keys` changes, and right away if
+   * they are already loaded. Returns an unsubscribe function.
+   */
+  function subscribe(keys, render) {
+    const subscriber = { keys, render };
+    subscribers.add(subscriber);
+    if (keys.some((key) => key in state)) {
+      render(state);
+    }
+    return () => subscribers.delete(subscriber);
+  }
+
+  async function load(contract, provider, account) {
+    stop();
+    source = { contract, provider, account };
+    attach();
+    await refresh();
+  }
+
+  // The connected account changed: only `funded` and `refundable` depend on it.
+  async function setAccount(account) {
+    if (!source || source.account === account) return;
+    source = { ...source, account };
+    await refresh();
+  }
+
+  function stop() {
+    detach();
+    source = undefined;
+    lastBlock = undefined;
+    Object.keys(state).forEach((key) => delete state[key]);
+  }
+
+  // Seconds on the chain's clock: the latest block's timestamp, advanced by
+  // the time elapsed here since it was read, so countdowns tick between blocks.
+  function getChainTime() {
+    if (!state.block) return Math.floor(Date.now() / 1000);
+    return state.block.timestamp + Math.floor((Date.now() - state.block.readAt) / 1000);
+  }
+
+  return { load, setAccount, subscribe, refresh, stop, getState: () => state, getChainTime };
+}
@@ -0,0 +1,117 @@
+import { ethers } from "./ethers-5.6.esm.min.js";
+import { shortAddress } from "./activity.js";
+
+function formatArg(value, input) {
+  if (Array.isArray(value)) return `[${value.map((item) => formatArg(item, input.arrayChildren)).join(", ")}]`;
+  if (input.name === "amount") return `${ethers.utils.formatEther(value)} ETH`;
+  if (input.type === "address") return shortAddress(value);
+  return value.toString();
+}
+
+// "withdraw(1.0 ETH)" for a queued call's data. queueAction only checks the
+// selector, so data that does not decode is shown raw instead.
+export function describeAction(contractInterface, data) {
+  let call;
+  try {
+    call = contractInterface.parseTransaction({ data });
+  } catch (error) {
+    return `${ethers.utils.hexDataSlice(data, 0, 4)} with undecodable data ${data}`;
+  }
+  const args = call.functionFragment.inputs.map((input, index) => formatArg(call.args[index], input));
+  return `${call.name}(${args.join(", ")})`;
+}
+
+function formatCountdown(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${minutes}m left`;
+  return `${minutes}m ${seconds % 60}s left`;
+}
+
+// Reads the timelock delay and the actions still queued, oldest first.
+export async function readTimelock(contract) {
+  const [delay, ids] = await Promise.all([contract.getTimelockDelay(), contract.getPendingActions()]);
+  const pending = await Promise.all(
+    ids.map(async (id) => {
+      const action = await contract.getAction(id);
+      return {
+        id: id.toNumber(),
+        proposer: action.proposer,
+        description: describeAction(contract.interface, action.data),
+        eta: action.eta.toNumber(),
+      };
+    })
+  );
+  return { delay: delay.toNumber(), pending: pending.sort((a, b) => a.id - b.id) };
+}
+
+// Actions waiting in FundMe's timelock, each with a countdown to its eta and
+// execute/cancel buttons. Hidden for a FundMe deployed without a delay. The
+// contract decides who may execute or cancel; the buttons just send. Execute
+// is enabled once the chain's clock, which the contract checks, reaches the eta.
+export function createActionQueue({ elements, store, onExecute, onCancel }) {
+  let timelock;
+  // Why the last timelock read failed, if it did.
+  let error;
+  let ticker;
+
+  function button(label, onClick) {
+    const element = document.createElement("button");
+    element.type = "button";
+    element.className = "action-button queue-button";
+    element.textContent = label;
+    element.onclick = onClick;
+    return element;
+  }
+
+  function render() {
+    if (error && !timelock) {
+      elements.panel.hidden = false;
+      elements.list.textContent = `Could not read the queued actions: ${error}`;
+      return;
+    }
+    elements.panel.hidden = !timelock || timelock.delay === 0;
+    if (elements.panel.hidden) return;
+
+    elements.list.replaceChildren();
+    if (error) {
+      const item = document.createElement("li");
+      item.textContent = `Could not refresh the queued actions: ${error}`;
+      elements.list.append(item);
+    }
+    if (timelock.pending.length === 0) {
+      elements.list.append("No queued actions.");
+      return;
+    }
+    const now = store.getChainTime();
+    for (const action of timelock.pending) {
+      const item = document.createElement("li");
+      item.className = "queue-item";
+      const status = action.eta > now ? formatCountdown(action.eta - now) : "ready";
+      item.append(`#${action.id} ${action.description} by ${shortAddress(action.proposer)} · ${status} `);
+      const execute = button("Execute", () => onExecute(action.id));
+      execute.disabled = action.eta > now;
+      item.append(execute, button("Cancel", () => onCancel(action.id)));
+      elements.list.append(item);
+    }
+  }
+
+  store.subscribe(["timelock", "errors"], (state) => {
+    timelock = state.timelock;
+    error = state.errors && state.errors.timelock;
+    clearInterval(ticker);
+    if (timelock && timelock.pending.length > 0) {
+      ticker = setInterval(render, 1000);
+    }
+    render();
+  });
+
+  function reset() {
+    clearInterval(ticker);
+    timelock = undefined;
+    error = undefined;
+    render();
+  }
+
+  return { reset };
+}
@@ -0,0 +1,236 @@
+import { ethers } from "./ethers-5.6.esm.min.js";
+import { getExplorerUrl } from "./networks.js";
+
+const TARGET_CONFIRMATIONS = 3;
+const MAX_HISTORY = 20;
+const ERROR_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+
+// Walks the nested errors wallets and providers wrap around a revert and
+// returns the first revert data found.
+function findRevertData(error) {
+  const seen = new Set();
+  const queue = [error];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (!current || typeof current !== "object" || seen.has(current)) continue;
+    seen.add(current);
+    for (const candidate of [current.data, current.data && current.data.data]) {
+      if (typeof candidate === "string" && /^0x[0-9a-fA-F]{8}/.test(candidate)) {
+        return candidate;
+      }
+    }
+    queue.push(current.error, current.data, current.originalError);
+  }
+  return undefined;
+}
+
+function decodeRevertData(data, contractInterface) {
+  const selector = data.slice(0, 10);
+  if (selector === ERROR_SELECTOR) {
+    return ethers.utils.defaultAbiCoder.decode(["string"], `0x${data.slice(10)}`)[0];
+  }
+  if (selector === PANIC_SELECTOR) {
+    const code = ethers.utils.defaultAbiCoder.decode(["uint256"], `0x${data.slice(10)}`)[0];
+    return `Panic ${code.toHexString()}`;
+  }
+  try {
+    const parsed = contractInterface.parseError(data);
+    return `${parsed.name}(${parsed.args.map(String).join(", ")})`;
+  } catch (error) {
+    return `Reverted with ${data}`;
+  }
+}
+
+// Turns whatever a failed send or wait throws into a sentence for the user:
+// `require` messages ("You're not the owner!", "Withdrawal failed"), custom
+// errors, wallet rejections.
+export function getRevertReason(error, contractInterface) {
+  if (error.code === 4001 || error.code === "ACTION_REJECTED") {
+    return "Rejected in the wallet";
+  }
+  const data = findRevertData(error);
+  if (data) {
+    return decodeRevertData(data, contractInterface);
+  }
+  const message = [error.reason, error.error && error.error.message, error.message].find(Boolean) || "";
+  const match =
+    /reverted with reason string '(.*)'/.exec(message) || /execution reverted: ([^"]*)/.exec(message);
+  return match ? match[1] : message;
+}
+
+// Replays a mined, reverted transaction as a call at its block to get the reason.
+async function replayRevertReason(provider, transaction, blockNumber, contractInterface) {
+  try {
+    await provider.call(
+      { to: transaction.to, from: transaction.from, data: transaction.data, value: transaction.value },
+      blockNumber
+    );
+    return "Reverted without a reason";
+  } catch (error) {
+    return getRevertReason(error, contractInterface);
+  }
+}
+
+// Sends FundMe transactions and tracks them through pending → confirmed(n) →
+// failed, including speed-up/cancel replacements. Keeps the account's recent
+// transactions in localStorage.
+export function createTransactionManager({ statusElement, historyList, contractInterface }) {
+  let storageKey;
+  let explorerUrl;
+
+  function readHistory() {
+    if (!storageKey) return [];
+    try {
+      return JSON.parse(window.localStorage.getItem(storageKey)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function writeHistory(history) {
+    if (!storageKey) return;
+    window.localStorage.setItem(storageKey, JSON.stringify(history.slice(0, MAX_HISTORY)));
+  }
+
+  function renderHistory() {
+    historyList.replaceChildren();
+    const history = readHistory();
+    if (history.length === 0) {
+      const item = document.createElement("li");
+      item.textContent = "No transactions yet.";
+      historyList.append(item);
+      return;
+    }
+    for (const entry of history) {
+      const item = document.createElement("li");
+      item.className = `history-item ${entry.status}`;
+      const when = new Date(entry.timestamp).toLocaleString();
+      const state =
+        entry.status === "confirmed" ? `confirmed (${entry.confirmations})` : entry.status;
+      item.append(`${entry.label} · ${state} · ${when}`);
+      if (entry.reason) {
+        item.append(` · ${entry.reason}`);
+      }
+      if (entry.hash) {
+        item.append(" · ");
+        const anchor = document.createElement(explorerUrl ? "a" : "span");
+        if (explorerUrl) {
+          anchor.href = `${explorerUrl}/tx/${entry.hash}`;
+          anchor.target = "_blank";
+          anchor.rel = "noopener noreferrer";
+        }
+        anchor.textContent = `${entry.hash.slice(0, 10)}…`;
+        item.append(anchor);
+      }
+      historyList.append(item);
+    }
+  }
+
+  function update(id, changes) {
+    const history = readHistory();
+    const entry = history.find((item) => item.id === id);
+    if (entry) {
+      Object.assign(entry, changes);
+      writeHistory(history);
+      renderHistory();
+    }
+  }
+
+  function showStatus(state, text) {
+    statusElement.className = `transaction-status ${state}`;
+    statusElement.textContent = `Transaction Status: ${text}`;
+  }
+
+  // Scopes the history to one account on one chain.
+  function setAccount(chainId, account) {
+    storageKey = account ? `fundme:transactions:${chainId}:${account.toLowerCase()}` : undefined;
+    explorerUrl = getExplorerUrl(chainId);
+    renderHistory();
+  }
+
+  // Reports a problem found before anything was sent (bad input, wrong network).
+  function reject(label, message) {
+    showStatus("failed", `${label} failed: ${message}`);
+  }
+
+  async function followConfirmations(id, label, provider, hash) {
+    for (let confirmations = 2; confirmations <= TARGET_CONFIRMATIONS; confirmations++) {
+      const receipt = await provider.waitForTransaction(hash, confirmations);
+      if (!receipt) return;
+      update(id, { confirmations });
+      showStatus("confirmed", `${label} confirmed (${confirmations})`);
+    }
+  }
+
+  /**
+   * Sends a transaction and tracks it. Resolves with the receipt once it is
+   * mined, rejects with a readable reason when it fails or is replaced.
+   * @param {string} label What the user is doing, e.g. "Fund".
+   * @param {() => Promise<object>} sendTransaction Sends it, e.g. () => contract.fund({ value }).
+   * @param {object} provider The provider to follow confirmations with.
+   */
+  async function send(label, sendTransaction, provider) {
+    const id = `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+    showStatus("pending", `${label}: waiting for the wallet…`);
+
+    let transactionResponse;
+    try {
+      transactionResponse = await sendTransaction();
+    } catch (error) {
+      const reason = getRevertReason(error, contractInterface);
+      showStatus("failed", `${label} failed: ${reason}`);
+      throw new Error(reason);
+    }
+
+    const history = readHistory();
+    history.unshift({
+      id,
+      label,
+      hash: transactionResponse.hash,
+      status: "pending",
+      confirmations: 0,
+      timestamp: Date.now(),
+    });
+    writeHistory(history);
+    renderHistory();
+    showStatus("pending", `${label} pending (${transactionResponse.hash.slice(0, 10)}…)`);
+
+    try {
+      const receipt = await transactionResponse.wait(1);
+      update(id, { status: "confirmed", confirmations: 1 });
+      showStatus("confirmed", `${label} confirmed (1)`);
+      followConfirmations(id, label, provider, receipt.transactionHash).catch((error) =>
+        console.log(error)
+      );
+      return receipt;
+    } catch (error) {
+      if (error.code === "TRANSACTION_REPLACED") {
+        const replacementHash = error.replacement && error.replacement.hash;
+        // A speed-up keeps the same call at a higher gas price
+        if (!error.cancelled && error.receipt && error.receipt.status === 1) {
+          update(id, { status: "confirmed", confirmations: 1, hash: replacementHash, reason: "sped up" });
+          showStatus("confirmed", `${label} confirmed (1), sped up as ${replacementHash.slice(0, 10)}…`);
+          followConfirmations(id, label, provider, replacementHash).catch((followError) =>
+            console.log(followError)
+          );
+          return error.receipt;
+        }
+        const reason = error.cancelled
+          ? `cancelled or replaced by ${replacementHash}`
+          : "replaced and reverted";
+        update(id, { status: "failed", reason, hash: replacementHash || transactionResponse.hash });
+        showStatus("failed", `${label} ${reason}`);
+        throw new Error(reason);
+      }
+      const reason = error.receipt
+        ? await replayRevertReason(provider, transactionResponse, error.receipt.blockNumber, contractInterface)
+        : getRevertReason(error, contractInterface);
+      update(id, { status: "failed", reason });
+      showStatus("failed", `${label} failed: ${reason}`);
+      throw new Error(reason);
+    }
+  }
+
+  return { send, reject, setAccount };
+}
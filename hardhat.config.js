@@ -4,6 +4,12 @@ require("hardhat-deploy")
 require("@nomiclabs/hardhat-etherscan")
 require("hardhat-gas-reporter")
 require("solidity-coverage")
+require("./tasks")
+const {
+    developmentChainIds,
+    getNetworkChainIds,
+    readNetworkConfig,
+} = require("./helper-hardhat-config")
 
 const SEPOLIA_RPC_URL =
     process.env.SEPOLIA_RPC_URL ||
@@ -14,6 +20,47 @@ const PRIVATE_KEY =
 const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY || ""
 const COINMARKETCAP_API_KEY = process.env.COINMARKETCAP_API_KEY || ""
 
+// Every chain in the price feed registry that has an RPC url becomes a network,
+// and every chain with explorer settings becomes a custom etherscan chain.
+// Nothing is validated here, so a broken entry for a chain you are not using
+// does not stop every command: the deploy scripts and tasks validate the
+// selected network with getNetworkConfig, and entries that could not even be
+// registered are left out.
+const readRegisteredChains = () => {
+    try {
+        return getNetworkChainIds()
+            .filter(
+                (chainId) =>
+                    Number.isInteger(chainId) &&
+                    !developmentChainIds.includes(chainId)
+            )
+            .map((chainId) => ({ chainId, ...readNetworkConfig(chainId) }))
+            .filter(({ name }) => typeof name === "string" && name)
+    } catch (error) {
+        console.warn(`Skipping the registered networks: ${error.message}`)
+        return []
+    }
+}
+
+const registeredChains = readRegisteredChains()
+
+const registeredNetworks = Object.fromEntries(
+    registeredChains
+        .filter(({ rpcUrl }) => typeof rpcUrl === "string" && rpcUrl)
+        .map(({ chainId, name, rpcUrl }) => [
+            name,
+            { url: rpcUrl, accounts: [PRIVATE_KEY], chainId },
+        ])
+)
+
+const registeredExplorers = registeredChains
+    .filter(({ explorer }) => explorer && explorer.url && explorer.apiUrl)
+    .map(({ chainId, name, explorer }) => ({
+        network: name,
+        chainId,
+        urls: { apiURL: explorer.apiUrl, browserURL: explorer.url },
+    }))
+
 module.exports = {
     defaultNetwork: "hardhat",
     networks: {
@@ -21,17 +68,34 @@ module.exports = {
             chainId: 31337,
             // gasPrice: 130000000000,
         },
+        // `hardhat node`; the chainId lets tasks and the deploy script find
+        // its entry in the network registry
+        localhost: {
+            url: "http://127.0.0.1:8545",
+            chainId: 31337,
+        },
+        ...registeredNetworks,
         sepolia: {
             url: SEPOLIA_RPC_URL,
             accounts: [PRIVATE_KEY],
             chainId: 11155111,
-            blockConfirmations: 6,
         },
     },
     solidity: {
         compilers: [
             {
                 version: "0.8.19",
+                settings: {
+                    // Keeps FundMe under the 24 KiB contract size limit
+                    optimizer: {
+                        enabled: true,
+                        runs: 200,
+                    },
+                    // Used by the `inspect-storage` task to decode FundMe's state
+                    outputSelection: {
+                        "*": { "*": ["storageLayout"] },
+                    },
+                },
             },
             {
                 version: "0.6.6",
@@ -45,7 +109,7 @@ module.exports = {
     },
     etherscan: {
         apiKey: ETHERSCAN_API_KEY,
-        // customChains: [], // uncomment this line if you are getting a TypeError: customChains is not iterable
+        customChains: registeredExplorers,
     },
     gasReporter: {
         enabled: true,
@@ -1,17 +1,328 @@
+const fs = require("fs")
+const path = require("path")
+
+// Price Feed Address, values can be obtained at https://docs.chain.link/data-feeds/price-feeds/addresses
+// Heartbeats are listed on the same page; double check them before deploying to a new chain.
+//
+// Every live entry needs:
+// - ethUsdPriceFeed: the ETH/USD aggregator address
+// - priceFeedDecimals: the number of decimals the aggregator answers with
+// - priceFeedHeartbeat: the maximum number of seconds between two answers
+// - blockConfirmations: blocks to wait for after deploying, before verifying
+// and may have:
+// - rpcUrl: the JSON-RPC endpoint, used to register the network in hardhat.config.js
+// - explorer: { name, url, apiUrl }, used to verify and to link transactions
+// - campaign: { goalUsd, deadline } to deploy FundMe as a campaign, see getCampaignConfig
+// - timelockDelay: seconds withdrawals and price feed changes wait in FundMe's queue (default 0, no timelock)
 const networkConfig = {
     31337: {
         name: "localhost",
+        priceFeedDecimals: 8,
+        priceFeedHeartbeat: 86400,
+        blockConfirmations: 1,
+        // MockV3Aggregator deployed by 00-deploy-mocks.js, the initial price is in USD.
+        // Override with MOCK_DECIMALS and MOCK_INITIAL_PRICE.
+        mockPriceFeed: {
+            decimals: 8,
+            initialPrice: "2000",
+        },
+    },
+    1: {
+        name: "mainnet",
+        ethUsdPriceFeed: "0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419",
+        priceFeedDecimals: 8,
+        priceFeedHeartbeat: 3600,
+        blockConfirmations: 6,
+        rpcUrl: process.env.MAINNET_RPC_URL,
+        explorer: {
+            name: "Etherscan",
+            url: "https://etherscan.io",
+            apiUrl: "https://api.etherscan.io/api",
+        },
     },
-    // Price Feed Address, values can be obtained at https://docs.chain.link/data-feeds/price-feeds/addresses
     11155111: {
         name: "sepolia",
         ethUsdPriceFeed: "0x694AA1769357215DE4FAC081bf1f309aDC325306",
+        priceFeedDecimals: 8,
+        priceFeedHeartbeat: 3600,
+        blockConfirmations: 6,
+        explorer: {
+            name: "Etherscan",
+            url: "https://sepolia.etherscan.io",
+            apiUrl: "https://api-sepolia.etherscan.io/api",
+        },
+    },
+    421614: {
+        name: "arbitrumSepolia",
+        ethUsdPriceFeed: "0xd30e2101a97dcbAeBCBC04F14C3f624E67A35165",
+        priceFeedDecimals: 8,
+        priceFeedHeartbeat: 86400,
+        blockConfirmations: 6,
+        rpcUrl: process.env.ARBITRUM_SEPOLIA_RPC_URL,
+        explorer: {
+            name: "Arbiscan",
+            url: "https://sepolia.arbiscan.io",
+            apiUrl: "https://api-sepolia.arbiscan.io/api",
+        },
+    },
+    11155420: {
+        name: "optimismSepolia",
+        ethUsdPriceFeed: "0x61Ec26aA57019C486B10502285c5A3D4A4750AD7",
+        priceFeedDecimals: 8,
+        priceFeedHeartbeat: 86400,
+        blockConfirmations: 6,
+        rpcUrl: process.env.OPTIMISM_SEPOLIA_RPC_URL,
+        explorer: {
+            name: "Optimism Etherscan",
+            url: "https://sepolia-optimism.etherscan.io",
+            apiUrl: "https://api-sepolia-optimistic.etherscan.io/api",
+        },
+    },
+    84532: {
+        name: "baseSepolia",
+        ethUsdPriceFeed: "0x4aDC67696bA383F43DD60A9e78F2C97Fbbfc7cb1",
+        priceFeedDecimals: 8,
+        priceFeedHeartbeat: 86400,
+        blockConfirmations: 6,
+        rpcUrl: process.env.BASE_SEPOLIA_RPC_URL,
+        explorer: {
+            name: "Basescan",
+            url: "https://sepolia.basescan.org",
+            apiUrl: "https://api-sepolia.basescan.org/api",
+        },
     },
 }
 
 const developmentChains = ["hardhat", "localhost"]
 
+// Chains where the ETH/USD feed is the MockV3Aggregator from 00-deploy-mocks.js
+const developmentChainIds = [31337]
+
+// Local, uncommitted additions to `networkConfig`, keyed by chainId.
+// See network-config.example.json.
+const LOCAL_NETWORK_CONFIG_FILE =
+    process.env.NETWORK_CONFIG_FILE ||
+    path.join(__dirname, "network-config.local.json")
+
+// Fields that can be overridden per chain with CHAIN_<chainId>_<VARIABLE>,
+// e.g. CHAIN_43113_ETH_USD_PRICE_FEED=0x...
+const ENV_OVERRIDES = {
+    NAME: ["name", String],
+    ETH_USD_PRICE_FEED: ["ethUsdPriceFeed", String],
+    PRICE_FEED_DECIMALS: ["priceFeedDecimals", Number],
+    PRICE_FEED_HEARTBEAT: ["priceFeedHeartbeat", Number],
+    BLOCK_CONFIRMATIONS: ["blockConfirmations", Number],
+    RPC_URL: ["rpcUrl", String],
+    TIMELOCK_DELAY: ["timelockDelay", Number],
+}
+
+const readLocalNetworkConfig = () => {
+    if (!fs.existsSync(LOCAL_NETWORK_CONFIG_FILE)) return {}
+    try {
+        return JSON.parse(fs.readFileSync(LOCAL_NETWORK_CONFIG_FILE, "utf8"))
+    } catch (error) {
+        throw new Error(
+            `Could not parse ${LOCAL_NETWORK_CONFIG_FILE}: ${error.message}`
+        )
+    }
+}
+
+const readEnvNetworkConfig = (chainId) => {
+    const overrides = {}
+    for (const [variable, [field, parse]] of Object.entries(ENV_OVERRIDES)) {
+        const value = process.env[`CHAIN_${chainId}_${variable}`]
+        if (value !== undefined && value !== "") {
+            overrides[field] = parse(value)
+        }
+    }
+    return overrides
+}
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0
+
+const validateNetworkConfig = (chainId, config) => {
+    const describe = `chainId ${chainId}${
+        config.name ? ` (${config.name})` : ""
+    }`
+    const fail = (field, problem) => {
+        throw new Error(
+            `Network config for ${describe} ${problem} "${field}". ` +
+                `Set it in helper-hardhat-config.js, ${path.basename(
+                    LOCAL_NETWORK_CONFIG_FILE
+                )} or CHAIN_${chainId}_* environment variables.`
+        )
+    }
+
+    if (!config.name) fail("name", "is missing")
+    if (!developmentChainIds.includes(Number(chainId))) {
+        if (!config.ethUsdPriceFeed) fail("ethUsdPriceFeed", "is missing")
+        if (!/^0x[0-9a-fA-F]{40}$/.test(config.ethUsdPriceFeed)) {
+            fail("ethUsdPriceFeed", "has an invalid address in")
+        }
+    }
+    if (config.priceFeedDecimals === undefined) {
+        fail("priceFeedDecimals", "is missing")
+    }
+    if (!Number.isInteger(config.priceFeedDecimals)) {
+        fail("priceFeedDecimals", "needs an integer in")
+    }
+    if (config.priceFeedHeartbeat === undefined) {
+        fail("priceFeedHeartbeat", "is missing")
+    }
+    if (!isPositiveInteger(config.priceFeedHeartbeat)) {
+        fail("priceFeedHeartbeat", "needs a positive number of seconds in")
+    }
+    if (config.blockConfirmations === undefined) {
+        fail("blockConfirmations", "is missing")
+    }
+    if (!isPositiveInteger(config.blockConfirmations)) {
+        fail("blockConfirmations", "needs a positive integer in")
+    }
+    if (
+        config.timelockDelay !== undefined &&
+        !(Number.isInteger(config.timelockDelay) && config.timelockDelay >= 0)
+    ) {
+        fail("timelockDelay", "needs a number of seconds in")
+    }
+    if (config.explorer) {
+        for (const field of ["name", "url", "apiUrl"]) {
+            if (!config.explorer[field]) fail(`explorer.${field}`, "is missing")
+        }
+    }
+    return config
+}
+
+/**
+ * Returns the config of `chainId` without validating it: the entry in
+ * `networkConfig`, merged with network-config.local.json and
+ * CHAIN_<chainId>_* variables. Empty for an unknown chain.
+ * @param {number|string} chainId
+ */
+const readNetworkConfig = (chainId) => {
+    const local = readLocalNetworkConfig()[chainId] || {}
+    const config = {
+        ...networkConfig[chainId],
+        ...local,
+        ...readEnvNetworkConfig(chainId),
+    }
+    const explorer = {
+        ...(networkConfig[chainId] && networkConfig[chainId].explorer),
+        ...local.explorer,
+    }
+    if (Object.keys(explorer).length > 0) config.explorer = explorer
+    return config
+}
+
+/**
+ * Returns the validated config of `chainId`, see `readNetworkConfig`.
+ * Throws an error naming the missing or invalid field.
+ * @param {number|string} chainId
+ */
+const getNetworkConfig = (chainId) => {
+    if (chainId === undefined) {
+        throw new Error(
+            "The current network has no chainId, set one in hardhat.config.js"
+        )
+    }
+    const config = readNetworkConfig(chainId)
+    if (Object.keys(config).length === 0) {
+        throw new Error(
+            `No network config for chainId ${chainId}. Add it to helper-hardhat-config.js or ${path.basename(
+                LOCAL_NETWORK_CONFIG_FILE
+            )}.`
+        )
+    }
+    return validateNetworkConfig(chainId, config)
+}
+
+/**
+ * Returns the decimals and initial USD price of the local MockV3Aggregator,
+ * from MOCK_DECIMALS / MOCK_INITIAL_PRICE or the localhost entry.
+ */
+const getMockPriceFeedConfig = () => {
+    const { mockPriceFeed } = networkConfig[developmentChainIds[0]]
+    const decimals = Number(process.env.MOCK_DECIMALS || mockPriceFeed.decimals)
+    const initialPrice =
+        process.env.MOCK_INITIAL_PRICE || mockPriceFeed.initialPrice
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > 36) {
+        throw new Error(`Invalid MOCK_DECIMALS "${process.env.MOCK_DECIMALS}"`)
+    }
+    if (!/^\d+(\.\d+)?$/.test(initialPrice)) {
+        throw new Error(
+            `Invalid MOCK_INITIAL_PRICE "${initialPrice}", expected a USD amount`
+        )
+    }
+    return { decimals, initialPrice }
+}
+
+// Accepts unix seconds or anything Date.parse understands, e.g. 2025-01-31T12:00:00Z
+const parseDeadline = (value) => {
+    const text = String(value)
+    const timestamp = /^\d+$/.test(text)
+        ? Number(text)
+        : Math.floor(Date.parse(text) / 1000)
+    if (!Number.isFinite(timestamp)) {
+        throw new Error(
+            `Invalid campaign deadline "${value}", expected unix seconds or a date`
+        )
+    }
+    return timestamp
+}
+
+/**
+ * Returns the campaign FundMe is deployed with on `chainId`: a USD goal and
+ * the unix time funding closes at. `deadline` is 0 (and `goalUsd` "0") for
+ * a plain FundMe without a campaign.
+ * CAMPAIGN_GOAL_USD with CAMPAIGN_DEADLINE or CAMPAIGN_DURATION (seconds
+ * from `now`) override the `campaign` entry of the network config.
+ * @param {number|string} chainId
+ * @param {number} now Unix seconds, usually the latest block's timestamp.
+ */
+const getCampaignConfig = (chainId, now) => {
+    const campaign = getNetworkConfig(chainId).campaign || {}
+    const goalUsd = process.env.CAMPAIGN_GOAL_USD || campaign.goalUsd
+    let deadline = 0
+    if (process.env.CAMPAIGN_DURATION) {
+        deadline = now + Number(process.env.CAMPAIGN_DURATION)
+    } else if (process.env.CAMPAIGN_DEADLINE || campaign.deadline) {
+        deadline = parseDeadline(
+            process.env.CAMPAIGN_DEADLINE || campaign.deadline
+        )
+    }
+    if (!deadline) {
+        return { goalUsd: "0", deadline: 0 }
+    }
+    if (!Number.isInteger(deadline) || deadline <= now) {
+        throw new Error(
+            `Campaign deadline ${deadline} is not in the future (now is ${now})`
+        )
+    }
+    if (!/^\d+(\.\d+)?$/.test(goalUsd || "") || Number(goalUsd) <= 0) {
+        throw new Error(
+            `Invalid campaign goal "${goalUsd}", set CAMPAIGN_GOAL_USD or campaign.goalUsd to a positive USD amount`
+        )
+    }
+    return { goalUsd: String(goalUsd), deadline }
+}
+
+/**
+ * Returns the chainIds of every known network, built-in or local.
+ */
+const getNetworkChainIds = () =>
+    [
+        ...new Set([
+            ...Object.keys(networkConfig),
+            ...Object.keys(readLocalNetworkConfig()),
+        ]),
+    ].map(Number)
+
 module.exports = {
     networkConfig,
     developmentChains,
+    developmentChainIds,
+    getCampaignConfig,
+    getMockPriceFeedConfig,
+    getNetworkChainIds,
+    getNetworkConfig,
+    readNetworkConfig,
 }
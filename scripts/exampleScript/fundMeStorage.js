@@ -1,17 +1,11 @@
-const { ethers, getNamedAccounts } = require("hardhat")
+const hre = require("hardhat")
+const { inspectStorage } = require("../../utils/storageInspector")
 
 async function main() {
-    const { deployer } = await getNamedAccounts()
-    const fundMe = await ethers.getContract("FundMe", deployer)
-    let response = await ethers.provider.getStorageAt(fundMe.address, 0)
-    console.log(response)
-    response = await ethers.provider.getStorageAt(fundMe.address, 1)
-    console.log(response)
-    response = await ethers.provider.getStorageAt(fundMe.address, 2)
-    console.log(response)
-    response = await ethers.provider.getStorageAt(fundMe.address, 3)
-    console.log(response)
-    const mockV3Aggregator = await ethers.getContract("MockV3Aggregator")
+    const fundMe = await hre.deployments.get("FundMe")
+    const { immutables, storage } = await inspectStorage(hre, fundMe.address)
+    console.table([...immutables, ...storage])
+    const mockV3Aggregator = await hre.ethers.getContract("MockV3Aggregator")
     console.log(mockV3Aggregator.address)
 }
 
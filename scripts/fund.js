@@ -1,15 +1,15 @@
-const { ethers, getNamedAccounts } = require("hardhat")
+const { run } = require("hardhat")
 
+// Kept for `hardhat run scripts/fund.js`; prefer `hardhat fund --amount ...`.
+// Set FUND_AMOUNT, FUND_UNIT and FUND_FROM to change what gets sent, and
+// FUND_PLAIN=true to send a plain transfer instead of calling fund().
 async function main() {
-    const { deployer } = await getNamedAccounts()
-    const fundMe = await ethers.getContract("FundMe", deployer)
-    console.log(`Got contract FundMe at ${fundMe.address}`)
-    console.log("Funding contract...")
-    const transactionResponse = await fundMe.fund({
-        value: ethers.utils.parseEther("0.1"),
+    await run("fund", {
+        amount: process.env.FUND_AMOUNT || "0.1",
+        unit: process.env.FUND_UNIT || "eth",
+        from: process.env.FUND_FROM || "deployer",
+        plain: process.env.FUND_PLAIN === "true",
     })
-    await transactionResponse.wait()
-    console.log("Funded!")
 }
 
 main()
@@ -0,0 +1,16 @@
+const { run } = require("hardhat")
+
+// Kept for `hardhat run scripts/funders.js`; prefer `hardhat funders`.
+// Set FUNDERS_PAGE_SIZE to change how many funders are read per call.
+async function main() {
+    await run("funders", {
+        pageSize: Number(process.env.FUNDERS_PAGE_SIZE || 100),
+    })
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error)
+        process.exit(1)
+    })
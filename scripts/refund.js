@@ -0,0 +1,16 @@
+const { run } = require("hardhat")
+
+// Kept for `hardhat run scripts/refund.js`; prefer `hardhat refund --from ...`.
+// Set REFUND_FROM to the funder to refund.
+async function main() {
+    await run("refund", {
+        from: process.env.REFUND_FROM || "deployer",
+    })
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error)
+        process.exit(1)
+    })
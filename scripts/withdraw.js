@@ -1,13 +1,29 @@
-const { ethers, getNamedAccounts } = require("hardhat")
+const { ethers, run } = require("hardhat")
 
+// Kept for `hardhat run scripts/withdraw.js`; prefer `hardhat withdraw --amount ...`.
+// Set WITHDRAW_AMOUNT ("all" or a number), WITHDRAW_UNIT and WITHDRAW_FROM.
 async function main() {
-    const { deployer } = await getNamedAccounts()
-    const fundMe = await ethers.getContract("FundMe", deployer)
-    console.log(`Got contract FundMe at ${fundMe.address}`)
-    console.log("Withdrawing from contract...")
-    const transactionResponse = await fundMe.withdraw()
-    await transactionResponse.wait()
-    console.log("Got it back!")
+    await run("withdraw", {
+        amount: process.env.WITHDRAW_AMOUNT || "all",
+        unit: process.env.WITHDRAW_UNIT || "eth",
+        from: process.env.WITHDRAW_FROM || "deployer",
+    })
+
+    const fundMe = await ethers.getContract("FundMe")
+    const [balance, totalRaised, totalWithdrawn, epoch] = await Promise.all([
+        fundMe.getContractBalance(),
+        fundMe.getTotalRaised(),
+        fundMe.getTotalWithdrawn(),
+        fundMe.getCurrentEpoch(),
+    ])
+    console.log(`Remaining balance: ${ethers.utils.formatEther(balance)} ETH`)
+    console.log(
+        `Raised ${ethers.utils.formatEther(
+            totalRaised
+        )} ETH, withdrawn ${ethers.utils.formatEther(
+            totalWithdrawn
+        )} ETH, now in epoch ${epoch}`
+    )
 }
 
 main()
@@ -0,0 +1,64 @@
+const { task } = require("hardhat/config")
+
+const CAMPAIGN_STATES = ["None", "Active", "Succeeded", "Failed"]
+
+const formatDuration = (seconds) => {
+    const days = Math.floor(seconds / 86400)
+    const hours = Math.floor((seconds % 86400) / 3600)
+    const minutes = Math.floor((seconds % 3600) / 60)
+    return `${days}d ${hours}h ${minutes}m`
+}
+
+task(
+    "campaign-status",
+    "Shows the goal, progress and deadline of the deployed FundMe campaign"
+).setAction(async (taskArgs, hre) => {
+    const { ethers } = hre
+    const fundMe = await ethers.getContract("FundMe")
+    const [state, goalUsd, raisedUsd, deadline, raised, funders, block] =
+        await Promise.all([
+            fundMe.getCampaignState(),
+            fundMe.getGoalUsd(),
+            fundMe.getTotalRaisedUsd(),
+            fundMe.getDeadline(),
+            fundMe.getTotalRaised(),
+            fundMe.getFundersCount(),
+            ethers.provider.getBlock("latest"),
+        ])
+
+    const stateName = CAMPAIGN_STATES[state]
+    console.log(`FundMe at ${fundMe.address}: ${stateName}`)
+    if (stateName === "None") {
+        console.log("  Deployed without a campaign, funding is always open.")
+        return
+    }
+
+    const percent = raisedUsd.mul(10000).div(goalUsd).toNumber() / 100
+    const secondsLeft = deadline.toNumber() - block.timestamp
+    console.log(
+        `  Raised: $${ethers.utils.formatEther(
+            raisedUsd
+        )} of $${ethers.utils.formatEther(goalUsd)} (${percent}%)`
+    )
+    console.log(
+        `  In ETH: ${ethers.utils.formatEther(
+            raised
+        )} ETH from ${funders} funder(s)`
+    )
+    console.log(
+        `  Deadline: ${new Date(deadline.toNumber() * 1000).toISOString()} (${
+            secondsLeft > 0
+                ? `${formatDuration(secondsLeft)} left`
+                : `closed ${formatDuration(-secondsLeft)} ago`
+        })`
+    )
+    if (stateName === "Succeeded") {
+        console.log(
+            "  The goal was met, the owner or a treasurer can withdraw."
+        )
+    } else if (stateName === "Failed") {
+        console.log(
+            "  The goal was not met, funders can claim refunds with `hardhat refund`."
+        )
+    }
+})
@@ -0,0 +1,56 @@
+const { task, types } = require("hardhat/config")
+const {
+    developmentChainIds,
+    getNetworkConfig,
+} = require("../helper-hardhat-config")
+const {
+    checkPriceFeed,
+    formatPriceFeedReport,
+    getConfiguredPriceFeedAddress,
+    getExpectedPriceFeedDecimals,
+    getPriceFeed,
+} = require("../utils/priceFeed")
+
+task("check-feed", "Runs the pre-deploy sanity check against a price feed")
+    .addOptionalParam(
+        "address",
+        "Aggregator to check, defaults to the one configured for the network",
+        undefined,
+        types.string
+    )
+    .addOptionalParam(
+        "maxStaleness",
+        "Oldest acceptable answer in seconds, defaults to the feed heartbeat",
+        undefined,
+        types.int
+    )
+    .addOptionalParam(
+        "decimals",
+        "Expected decimals, defaults to the feed's configured decimals",
+        undefined,
+        types.int
+    )
+    .setAction(async (taskArgs, hre) => {
+        const chainId = hre.network.config.chainId
+        const config = getNetworkConfig(chainId)
+        const address =
+            taskArgs.address || (await getConfiguredPriceFeedAddress(hre))
+        const result = await checkPriceFeed(
+            getPriceFeed(address, hre.ethers.provider),
+            {
+                expectedDecimals:
+                    taskArgs.decimals !== undefined
+                        ? taskArgs.decimals
+                        : getExpectedPriceFeedDecimals(chainId),
+                maxStaleness:
+                    taskArgs.maxStaleness !== undefined
+                        ? taskArgs.maxStaleness
+                        : config.priceFeedHeartbeat,
+                checkDescription: !developmentChainIds.includes(chainId),
+            }
+        )
+        console.log(formatPriceFeedReport(result))
+        if (result.problems.length > 0) {
+            throw new Error(`Price feed ${address} failed the sanity check`)
+        }
+    })
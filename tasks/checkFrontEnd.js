@@ -0,0 +1,54 @@
+const { task } = require("hardhat/config")
+const {
+    FRONT_END_CONSTANTS_FILE,
+    checkDeployedContracts,
+    isFrontEndUpToDate,
+    removeDeployments,
+    updateFrontEndConstants,
+} = require("../utils/frontEnd")
+
+task(
+    "check-front-end",
+    "Fails when front-end/constants.js is stale against the FundMe artifact and deployments"
+)
+    .addFlag(
+        "fix",
+        "Rewrite the constants, and drop deployments that do not match the ABI, instead of failing"
+    )
+    .setAction(async ({ fix }, hre) => {
+        await hre.run("compile", { quiet: true })
+        if (!(await isFrontEndUpToDate(hre))) {
+            if (!fix) {
+                throw new Error(
+                    `${FRONT_END_CONSTANTS_FILE} is stale, run \`yarn hardhat deploy\` or \`yarn hardhat check-front-end --fix\``
+                )
+            }
+            await updateFrontEndConstants(hre)
+            console.log(`Updated ${FRONT_END_CONSTANTS_FILE}`)
+        }
+
+        // Every recorded deployment must still answer to the current ABI
+        const { problems, skipped } = await checkDeployedContracts(hre)
+        for (const { chainId, reason } of skipped) {
+            console.log(
+                `Could not check the chain ${chainId} deployment: ${reason}`
+            )
+        }
+        if (problems.length > 0) {
+            const details = problems
+                .map(
+                    ({ chainId, address, message }) =>
+                        `  chain ${chainId}: ${address} is ${message}`
+                )
+                .join("\n")
+            if (!fix) {
+                throw new Error(
+                    `${FRONT_END_CONSTANTS_FILE} lists deployments that do not match its ABI:\n${details}\nRedeploy there, or drop them with \`yarn hardhat check-front-end --fix\``
+                )
+            }
+            removeDeployments(problems.map(({ chainId }) => chainId))
+            console.log(`Dropped from ${FRONT_END_CONSTANTS_FILE}:\n${details}`)
+            return
+        }
+        console.log(`${FRONT_END_CONSTANTS_FILE} is up to date`)
+    })
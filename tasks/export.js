@@ -0,0 +1,110 @@
+const path = require("path")
+const { task, types } = require("hardhat/config")
+const {
+    getContributions,
+    writeContributions,
+} = require("../utils/exportContributions")
+const { DEFAULT_CHUNK_SIZE, getDeploymentBlock } = require("../utils/ledger")
+const { getConfiguredPriceFeedAddress } = require("../utils/priceFeed")
+
+const FORMATS = ["csv", "json", "both"]
+
+const parseDate = (value, name) => {
+    const time = Date.parse(value)
+    if (Number.isNaN(time)) {
+        throw new Error(
+            `Invalid --${name} "${value}", expected e.g. 2024-01-31`
+        )
+    }
+    return time
+}
+
+task(
+    "export-contributions",
+    "Exports FundContribution events with their USD value at funding time"
+)
+    .addOptionalParam("format", "csv, json or both", "both")
+    .addOptionalParam(
+        "outDir",
+        "Directory the export is written to",
+        "exports",
+        types.string
+    )
+    .addOptionalParam(
+        "priceFeed",
+        "Aggregator to price contributions with, defaults to the one in helper-hardhat-config.js",
+        undefined,
+        types.string
+    )
+    .addOptionalParam(
+        "since",
+        "Only export contributions on or after this date (e.g. 2024-01-01)",
+        undefined,
+        types.string
+    )
+    .addOptionalParam(
+        "until",
+        "Only export contributions before this date (e.g. 2024-02-01)",
+        undefined,
+        types.string
+    )
+    .addOptionalParam(
+        "fromBlock",
+        "Block to start from, defaults to the deployment block",
+        undefined,
+        types.int
+    )
+    .addOptionalParam("toBlock", "Last block to scan", undefined, types.int)
+    .addOptionalParam(
+        "chunkSize",
+        "Number of blocks requested per eth_getLogs call",
+        DEFAULT_CHUNK_SIZE,
+        types.int
+    )
+    .setAction(async (taskArgs, hre) => {
+        if (!FORMATS.includes(taskArgs.format)) {
+            throw new Error(
+                `Unknown format "${
+                    taskArgs.format
+                }", expected one of ${FORMATS.join(", ")}`
+            )
+        }
+        const since = taskArgs.since && parseDate(taskArgs.since, "since")
+        const until = taskArgs.until && parseDate(taskArgs.until, "until")
+
+        const { ethers, network } = hre
+        const fundMe = await ethers.getContract("FundMe")
+        const priceFeedAddress =
+            taskArgs.priceFeed || (await getConfiguredPriceFeedAddress(hre))
+        const fromBlock =
+            taskArgs.fromBlock !== undefined
+                ? taskArgs.fromBlock
+                : await getDeploymentBlock(hre)
+        const toBlock =
+            taskArgs.toBlock !== undefined
+                ? taskArgs.toBlock
+                : await ethers.provider.getBlockNumber()
+
+        console.log(
+            `Exporting contributions to FundMe at ${fundMe.address} (blocks ${fromBlock}-${toBlock}), priced with ${priceFeedAddress}...`
+        )
+        const rows = (
+            await getContributions(ethers.provider, fundMe, priceFeedAddress, {
+                fromBlock,
+                toBlock,
+                chunkSize: taskArgs.chunkSize,
+            })
+        ).filter((row) => {
+            const time = Date.parse(row.timestamp)
+            return (!since || time >= since) && (!until || time < until)
+        })
+
+        const files = writeContributions(
+            rows,
+            path.resolve(hre.config.paths.root, taskArgs.outDir),
+            `contributions-${network.name}`,
+            taskArgs.format
+        )
+        console.log(`Exported ${rows.length} contribution(s) to:`)
+        files.forEach((file) => console.log(`  ${file}`))
+    })
@@ -0,0 +1,56 @@
+const { task } = require("hardhat/config")
+const { getSigner } = require("../utils/accounts")
+const { parseAmount } = require("../utils/amounts")
+const { sendTransaction } = require("../utils/transactions")
+
+// Sends `value` to FundMe with no calldata, so it goes through receive()
+// like a transfer from a wallet or an exchange. Receipts of plain
+// transactions come without decoded events, so FundMe's logs are decoded
+// here for printReceipt.
+const sendPlainTransfer = async (fundMe, signer, value) => {
+    const response = await signer.sendTransaction({ to: fundMe.address, value })
+    const wait = response.wait.bind(response)
+    response.wait = async (confirmations) => {
+        const receipt = await wait(confirmations)
+        receipt.events = receipt.logs.map((log) => {
+            const event = fundMe.interface.parseLog(log)
+            return {
+                ...log,
+                event: event.name,
+                args: event.args,
+            }
+        })
+        return receipt
+    }
+    return response
+}
+
+task("fund", "Funds the deployed FundMe contract")
+    .addOptionalParam("amount", "Amount to fund", "0.1")
+    .addOptionalParam("unit", "Unit of --amount: eth or usd", "eth")
+    .addOptionalParam(
+        "from",
+        "Named account, signer index or address to fund from",
+        "deployer"
+    )
+    .addFlag(
+        "plain",
+        "Send a plain Ether transfer to FundMe instead of calling fund()"
+    )
+    .setAction(async ({ amount, unit, from, plain }, hre) => {
+        const signer = await getSigner(hre, from)
+        const fundMe = await hre.ethers.getContract("FundMe", signer)
+        const value = await parseAmount(fundMe, amount, unit)
+        console.log(
+            `Funding FundMe at ${
+                fundMe.address
+            } with ${hre.ethers.utils.formatEther(value)} ETH from ${
+                signer.address
+            }${plain ? " as a plain transfer" : ""}...`
+        )
+        await sendTransaction(() =>
+            plain
+                ? sendPlainTransfer(fundMe, signer, value)
+                : fundMe.fund({ value })
+        )
+    })
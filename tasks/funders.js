@@ -0,0 +1,34 @@
+const { task, types } = require("hardhat/config")
+const { DEFAULT_PAGE_SIZE, readFunders } = require("../utils/funders")
+
+task("funders", "Lists the funders of the deployed FundMe contract")
+    .addOptionalParam(
+        "pageSize",
+        "Funders to read per getFunders call",
+        DEFAULT_PAGE_SIZE,
+        types.int
+    )
+    .addOptionalParam(
+        "block",
+        "Block to read the funders at",
+        undefined,
+        types.int
+    )
+    .addFlag("json", "Print JSON instead of a table")
+    .setAction(async ({ pageSize, block, json }, hre) => {
+        if (pageSize < 1) {
+            throw new Error("--page-size must be at least 1")
+        }
+        const fundMe = await hre.ethers.getContract("FundMe")
+        const funders = await readFunders(fundMe, pageSize, block)
+        const rows = funders.map(({ address, amount }) => ({
+            funder: address,
+            amount: hre.ethers.utils.formatEther(amount),
+        }))
+        if (json) {
+            console.log(JSON.stringify(rows, null, 2))
+            return
+        }
+        console.log(`${rows.length} funder(s) of FundMe at ${fundMe.address}`)
+        if (rows.length > 0) console.table(rows)
+    })
@@ -0,0 +1,17 @@
+require("./fund")
+require("./withdraw")
+require("./payout")
+require("./refund")
+require("./queue")
+require("./funders")
+require("./roles")
+require("./ownership")
+require("./pause")
+require("./campaignStatus")
+require("./ledger")
+require("./export")
+require("./checkFeed")
+require("./mockPrice")
+require("./inspectStorage")
+require("./checkFrontEnd")
+require("./node")
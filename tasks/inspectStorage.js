@@ -0,0 +1,56 @@
+const { task, types } = require("hardhat/config")
+const { inspectStorage } = require("../utils/storageInspector")
+
+task(
+    "inspect-storage",
+    "Decodes FundMe's storage and immutables using the compiler's storage layout"
+)
+    .addOptionalParam(
+        "address",
+        "Contract to inspect, defaults to the FundMe deployment",
+        undefined,
+        types.string
+    )
+    .addOptionalParam(
+        "contract",
+        "Fully qualified name of the contract the layout comes from",
+        "contracts/FundMe.sol:FundMe",
+        types.string
+    )
+    .addOptionalParam(
+        "keys",
+        "Comma separated extra addresses to look up in mappings",
+        "",
+        types.string
+    )
+    .addOptionalParam(
+        "maxElements",
+        "Maximum number of array elements to read",
+        100,
+        types.int
+    )
+    .addOptionalParam(
+        "block",
+        "Block to read the state at",
+        undefined,
+        types.int
+    )
+    .addFlag("json", "Print JSON instead of a table")
+    .setAction(async (taskArgs, hre) => {
+        const address =
+            taskArgs.address || (await hre.deployments.get("FundMe")).address
+        const result = await inspectStorage(hre, address, {
+            contract: taskArgs.contract,
+            keys: taskArgs.keys ? taskArgs.keys.split(",") : [],
+            maxElements: taskArgs.maxElements,
+            blockTag: taskArgs.block !== undefined ? taskArgs.block : "latest",
+        })
+        if (taskArgs.json) {
+            console.log(JSON.stringify(result, null, 2))
+            return
+        }
+        console.log(
+            `${result.contract} at ${address} (block ${result.blockTag})`
+        )
+        console.table([...result.immutables, ...result.storage])
+    })
@@ -0,0 +1,65 @@
+const path = require("path")
+const { task, types } = require("hardhat/config")
+const { DEFAULT_CHUNK_SIZE, syncLedger } = require("../utils/ledger")
+
+task(
+    "ledger",
+    "Rebuilds the FundMe funder ledger from FundContribution / FundsWithdrawn logs"
+)
+    .addOptionalParam(
+        "out",
+        "Ledger file, defaults to ledger/<network>.json",
+        undefined,
+        types.string
+    )
+    .addOptionalParam(
+        "fromBlock",
+        "Block to start from on a fresh ledger, defaults to the deployment block",
+        undefined,
+        types.int
+    )
+    .addOptionalParam("toBlock", "Last block to index", undefined, types.int)
+    .addOptionalParam(
+        "chunkSize",
+        "Number of blocks requested per eth_getLogs call",
+        DEFAULT_CHUNK_SIZE,
+        types.int
+    )
+    .addOptionalParam(
+        "confirmations",
+        "Leave this many recent blocks unindexed to avoid reorgs",
+        0,
+        types.int
+    )
+    .addFlag("rebuild", "Ignore the existing ledger and start over")
+    .setAction(async (taskArgs, hre) => {
+        const file =
+            taskArgs.out ||
+            path.join(
+                hre.config.paths.root,
+                "ledger",
+                `${hre.network.name}.json`
+            )
+        const ledger = await syncLedger(hre, { ...taskArgs, file })
+        const { ethers } = hre
+        console.log(`Ledger written to ${file}`)
+        console.log(`  Indexed up to block ${ledger.lastIndexedBlock}`)
+        console.log(
+            `  Total raised: ${ethers.utils.formatEther(
+                ledger.totals.raised
+            )} ETH`
+        )
+        console.log(
+            `  Total refunded: ${ethers.utils.formatEther(
+                ledger.totals.refunded
+            )} ETH`
+        )
+        console.log(
+            `  Total withdrawn: ${ethers.utils.formatEther(
+                ledger.totals.withdrawn
+            )} ETH`
+        )
+        console.log(`  Funders: ${Object.keys(ledger.funders).length}`)
+        console.log(`  Withdrawal epochs: ${ledger.epochs.length - 1}`)
+        console.log(`  Price feed changes: ${ledger.priceFeedChanges.length}`)
+    })
@@ -0,0 +1,107 @@
+const fs = require("fs")
+const path = require("path")
+const { task, types } = require("hardhat/config")
+const { developmentChainIds } = require("../helper-hardhat-config")
+const { sendTransaction } = require("../utils/transactions")
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Reads a scenario file: a JSON list of steps, each with a USD `price` and
+ * optionally a `roundId`, an absolute `timestamp` (or an `age` in seconds
+ * before the current block), a `startedAt`, and `advance` seconds of chain
+ * time to skip before the step is applied.
+ */
+const readScenario = (file) => {
+    const steps = JSON.parse(fs.readFileSync(file, "utf8"))
+    if (!Array.isArray(steps) || steps.length === 0) {
+        throw new Error(`Scenario ${file} must be a non-empty JSON array`)
+    }
+    steps.forEach((step, index) => {
+        if (step.price === undefined) {
+            throw new Error(`Step ${index} of ${file} has no "price"`)
+        }
+    })
+    return steps
+}
+
+const applyStep = async (hre, mockV3Aggregator, decimals, step) => {
+    const { ethers } = hre
+    if (step.advance) {
+        await ethers.provider.send("evm_increaseTime", [step.advance])
+        await ethers.provider.send("evm_mine", [])
+    }
+    const answer = ethers.utils.parseUnits(String(step.price), decimals)
+    const now = (await ethers.provider.getBlock("latest")).timestamp
+    const timestamp =
+        step.timestamp !== undefined ? step.timestamp : now - (step.age || 0)
+    const roundId =
+        step.roundId !== undefined
+            ? step.roundId
+            : (await mockV3Aggregator.latestRound()).add(1)
+    console.log(
+        `Round ${roundId}: $${step.price} updated at ${new Date(
+            timestamp * 1000
+        ).toISOString()}`
+    )
+    await sendTransaction(() =>
+        mockV3Aggregator.updateRoundData(
+            roundId,
+            answer,
+            timestamp,
+            step.startedAt !== undefined ? step.startedAt : timestamp
+        )
+    )
+}
+
+task(
+    "mock-price",
+    "Sets the local MockV3Aggregator price or replays a scenario"
+)
+    .addOptionalParam(
+        "price",
+        "New USD price, e.g. 1800",
+        undefined,
+        types.string
+    )
+    .addOptionalParam(
+        "scenario",
+        "JSON file of price steps, see scripts/scenarios",
+        undefined,
+        types.string
+    )
+    .addOptionalParam(
+        "interval",
+        "Milliseconds to wait between scenario steps",
+        0,
+        types.int
+    )
+    .setAction(async ({ price, scenario, interval }, hre) => {
+        if (!developmentChainIds.includes(hre.network.config.chainId)) {
+            throw new Error(
+                "mock-price only works on a local network with the MockV3Aggregator deployed"
+            )
+        }
+        if ((price === undefined) === (scenario === undefined)) {
+            throw new Error("Pass exactly one of --price or --scenario")
+        }
+        const mockV3Aggregator = await hre.ethers.getContract(
+            "MockV3Aggregator"
+        )
+        const decimals = await mockV3Aggregator.decimals()
+        const steps =
+            price !== undefined
+                ? [{ price }]
+                : readScenario(path.resolve(scenario))
+
+        for (const [index, step] of steps.entries()) {
+            if (index > 0 && interval > 0) await sleep(interval)
+            await applyStep(hre, mockV3Aggregator, decimals, step)
+        }
+        const { answer } = await mockV3Aggregator.latestRoundData()
+        console.log(
+            `MockV3Aggregator at ${
+                mockV3Aggregator.address
+            } now answers $${hre.ethers.utils.formatUnits(answer, decimals)}`
+        )
+    })
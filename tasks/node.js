@@ -0,0 +1,10 @@
+const { task } = require("hardhat/config")
+const { TASK_NODE } = require("hardhat/builtin-tasks/task-names")
+const { markServingNode } = require("../utils/frontEnd")
+
+// `hardhat node` deploys to the in-process "hardhat" network like a test run
+// does, but its deployment is the one the front-end should point at.
+task(TASK_NODE).setAction(async (args, hre, runSuper) => {
+    markServingNode()
+    return runSuper(args)
+})
@@ -0,0 +1,44 @@
+const { task } = require("hardhat/config")
+const { getSigner } = require("../utils/accounts")
+const { sendTransaction } = require("../utils/transactions")
+
+task(
+    "transfer-ownership",
+    "Proposes a new owner for FundMe, who then has to run accept-ownership"
+)
+    .addParam("to", "Named account, signer index or address of the new owner")
+    .addOptionalParam(
+        "from",
+        "Named account, signer index or address of the current owner",
+        "deployer"
+    )
+    .setAction(async ({ to, from }, hre) => {
+        const signer = await getSigner(hre, from)
+        const fundMe = await hre.ethers.getContract("FundMe", signer)
+        const { address } = await getSigner(hre, to)
+        console.log(
+            `Proposing ${address} as the owner of FundMe at ${fundMe.address}...`
+        )
+        await sendTransaction(() => fundMe.transferOwnership(address))
+    })
+
+task("accept-ownership", "Accepts a pending FundMe ownership transfer")
+    .addOptionalParam(
+        "from",
+        "Named account, signer index or address of the pending owner",
+        "deployer"
+    )
+    .setAction(async ({ from }, hre) => {
+        const signer = await getSigner(hre, from)
+        const fundMe = await hre.ethers.getContract("FundMe", signer)
+        const pendingOwner = await fundMe.getPendingOwner()
+        if (pendingOwner !== signer.address) {
+            throw new Error(
+                `${signer.address} is not the pending owner of FundMe (${pendingOwner})`
+            )
+        }
+        console.log(
+            `Accepting ownership of FundMe at ${fundMe.address} as ${signer.address}...`
+        )
+        await sendTransaction(() => fundMe.acceptOwnership())
+    })
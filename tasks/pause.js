@@ -0,0 +1,41 @@
+const { task } = require("hardhat/config")
+const { getSigner } = require("../utils/accounts")
+const { sendTransaction } = require("../utils/transactions")
+
+const setPaused = async (paused, from, hre) => {
+    const signer = await getSigner(hre, from)
+    const fundMe = await hre.ethers.getContract("FundMe", signer)
+    if ((await fundMe.isPaused()) === paused) {
+        console.log(
+            `Funding is already ${paused ? "paused" : "open"} on FundMe at ${
+                fundMe.address
+            }`
+        )
+        return
+    }
+    console.log(
+        `${paused ? "Pausing" : "Unpausing"} funding on FundMe at ${
+            fundMe.address
+        } as ${signer.address}...`
+    )
+    await sendTransaction(() => (paused ? fundMe.pause() : fundMe.unpause()))
+}
+
+task(
+    "pause",
+    "Stops FundMe from accepting contributions; refunds and withdrawals keep working"
+)
+    .addOptionalParam(
+        "from",
+        "Named account, signer index or address of a guardian",
+        "deployer"
+    )
+    .setAction(({ from }, hre) => setPaused(true, from, hre))
+
+task("unpause", "Lets FundMe accept contributions again")
+    .addOptionalParam(
+        "from",
+        "Named account, signer index or address of a guardian",
+        "deployer"
+    )
+    .setAction(({ from }, hre) => setPaused(false, from, hre))
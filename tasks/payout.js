@@ -0,0 +1,70 @@
+const { task } = require("hardhat/config")
+const { getSigner } = require("../utils/accounts")
+const { readPayoutFile, splitAmount } = require("../utils/payouts")
+const { sendOrQueue } = require("../utils/timelock")
+
+task(
+    "payout",
+    "Withdraws from the deployed FundMe contract to one or more recipients"
+)
+    .addParam("file", "JSON file with the amount and the recipients' shares")
+    .addOptionalParam(
+        "from",
+        "Named account, signer index or address of a treasurer",
+        "deployer"
+    )
+    .addFlag("dryRun", "Only preview the payout")
+    .setAction(async ({ file, from, dryRun }, hre) => {
+        const { ethers } = hre
+        const payout = readPayoutFile(file)
+        const signer = await getSigner(hre, from)
+        const fundMe = await ethers.getContract("FundMe", signer)
+        const balance = await fundMe.getContractBalance()
+        const amount =
+            payout.amount === "all"
+                ? balance
+                : ethers.utils.parseEther(payout.amount)
+        // FundMe rejects a zero withdrawal, don't pay gas to find out
+        if (amount.isZero()) {
+            if (payout.amount !== "all") {
+                throw new Error(`The amount in ${file} must be positive`)
+            }
+            console.log(
+                `FundMe at ${fundMe.address} has no balance, nothing to pay out`
+            )
+            return
+        }
+        const shares = splitAmount(amount, payout.recipients)
+
+        console.log(`Payout from FundMe at ${fundMe.address}`)
+        console.table(
+            payout.recipients.map(({ address, percent }, index) => ({
+                recipient: address,
+                percent,
+                amount: ethers.utils.formatEther(shares[index]),
+            }))
+        )
+        console.log(
+            `Total: ${ethers.utils.formatEther(
+                amount
+            )} ETH of a ${ethers.utils.formatEther(balance)} ETH balance`
+        )
+        if (amount.gt(balance)) {
+            throw new Error("The payout is larger than the contract balance")
+        }
+        if (dryRun) {
+            console.log("Dry run, nothing was sent.")
+            return
+        }
+
+        const recipients = payout.recipients.map(({ address }) => address)
+        if (recipients.length === 1) {
+            await sendOrQueue(fundMe, "withdrawTo", [recipients[0], amount])
+        } else {
+            await sendOrQueue(fundMe, "splitPayout", [
+                recipients,
+                payout.recipients.map(({ basisPoints }) => basisPoints),
+                amount,
+            ])
+        }
+    })
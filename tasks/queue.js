@@ -0,0 +1,85 @@
+const { task, types } = require("hardhat/config")
+const { getSigner } = require("../utils/accounts")
+const { readActions } = require("../utils/timelock")
+const { sendTransaction } = require("../utils/transactions")
+
+task(
+    "queue",
+    "Lists the actions queued in FundMe's timelock, and executes or cancels them"
+)
+    .addOptionalParam(
+        "execute",
+        "Id of a queued action to execute",
+        undefined,
+        types.int
+    )
+    .addOptionalParam(
+        "cancel",
+        "Id of a queued action to cancel",
+        undefined,
+        types.int
+    )
+    .addOptionalParam(
+        "from",
+        "Named account, signer index or address to execute or cancel with",
+        "deployer"
+    )
+    .addFlag("all", "List executed and cancelled actions too")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers } = hre
+        if (taskArgs.execute !== undefined && taskArgs.cancel !== undefined) {
+            throw new Error("Pass either --execute or --cancel, not both")
+        }
+        const signer = await getSigner(hre, taskArgs.from)
+        const fundMe = await ethers.getContract("FundMe", signer)
+
+        if (taskArgs.execute !== undefined || taskArgs.cancel !== undefined) {
+            const id =
+                taskArgs.execute !== undefined
+                    ? taskArgs.execute
+                    : taskArgs.cancel
+            const [action] = await readActions(fundMe, [id])
+            if (action.status !== "Queued") {
+                throw new Error(
+                    `Action ${id} is ${action.status.toLowerCase()}`
+                )
+            }
+            if (taskArgs.execute !== undefined) {
+                console.log(`Executing action ${id}: ${action.description}...`)
+                await sendTransaction(() => fundMe.executeAction(id))
+            } else {
+                console.log(`Cancelling action ${id}: ${action.description}...`)
+                await sendTransaction(() => fundMe.cancelAction(id))
+            }
+            return
+        }
+
+        const [delay, count, pending, block] = await Promise.all([
+            fundMe.getTimelockDelay(),
+            fundMe.getActionsCount(),
+            fundMe.getPendingActions(),
+            ethers.provider.getBlock("latest"),
+        ])
+        const ids = taskArgs.all
+            ? [...Array(count.toNumber()).keys()]
+            : pending.map((id) => id.toNumber()).sort((a, b) => a - b)
+        const actions = await readActions(fundMe, ids)
+        console.log(
+            `FundMe at ${fundMe.address}: ${delay}s timelock, ${pending.length} of ${count} action(s) queued`
+        )
+        if (actions.length === 0) return
+        console.table(
+            actions.map(({ id, description, proposer, eta, status }) => ({
+                id,
+                action: description,
+                proposer,
+                eta: new Date(eta * 1000).toISOString(),
+                status:
+                    status === "Queued"
+                        ? eta <= block.timestamp
+                            ? "ready"
+                            : `${eta - block.timestamp}s left`
+                        : status.toLowerCase(),
+            }))
+        )
+    })
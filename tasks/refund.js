@@ -0,0 +1,29 @@
+const { task } = require("hardhat/config")
+const { getSigner } = require("../utils/accounts")
+const { sendTransaction } = require("../utils/transactions")
+
+task(
+    "refund",
+    "Refunds the caller's contribution to the deployed FundMe contract"
+)
+    .addOptionalParam(
+        "from",
+        "Named account, signer index or address to refund",
+        "deployer"
+    )
+    .setAction(async ({ from }, hre) => {
+        const signer = await getSigner(hre, from)
+        const fundMe = await hre.ethers.getContract("FundMe", signer)
+        const funded = await fundMe.getRefundableAmount(signer.address)
+        if (funded.isZero()) {
+            throw new Error(
+                `${signer.address} has nothing to refund since the last withdrawal`
+            )
+        }
+        console.log(
+            `Refunding ${hre.ethers.utils.formatEther(funded)} ETH to ${
+                signer.address
+            } from FundMe at ${fundMe.address}...`
+        )
+        await sendTransaction(() => fundMe.refund())
+    })
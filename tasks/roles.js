@@ -0,0 +1,72 @@
+const { task } = require("hardhat/config")
+const { getSigner } = require("../utils/accounts")
+const { ROLES, getRoleId, readRoles } = require("../utils/roles")
+const { sendTransaction } = require("../utils/transactions")
+
+const ROLE_DESCRIPTION = `Role: ${Object.keys(ROLES).join(" or ")}`
+
+task("grant-role", "Grants a FundMe role to an account")
+    .addParam("role", ROLE_DESCRIPTION)
+    .addParam(
+        "account",
+        "Named account, signer index or address to grant the role to"
+    )
+    .addOptionalParam(
+        "from",
+        "Named account, signer index or address of the owner",
+        "deployer"
+    )
+    .setAction(async ({ role, account, from }, hre) => {
+        const signer = await getSigner(hre, from)
+        const fundMe = await hre.ethers.getContract("FundMe", signer)
+        const { address } = await getSigner(hre, account)
+        const roleId = await getRoleId(fundMe, role)
+        console.log(
+            `Granting ${role} to ${address} on FundMe at ${fundMe.address}...`
+        )
+        await sendTransaction(() => fundMe.grantRole(roleId, address))
+    })
+
+task("revoke-role", "Revokes a FundMe role from an account")
+    .addParam("role", ROLE_DESCRIPTION)
+    .addParam(
+        "account",
+        "Named account, signer index or address to revoke the role from"
+    )
+    .addOptionalParam(
+        "from",
+        "Named account, signer index or address of the owner",
+        "deployer"
+    )
+    .setAction(async ({ role, account, from }, hre) => {
+        const signer = await getSigner(hre, from)
+        const fundMe = await hre.ethers.getContract("FundMe", signer)
+        const { address } = await getSigner(hre, account)
+        const roleId = await getRoleId(fundMe, role)
+        console.log(
+            `Revoking ${role} from ${address} on FundMe at ${fundMe.address}...`
+        )
+        await sendTransaction(() => fundMe.revokeRole(roleId, address))
+    })
+
+task("roles", "Shows the owner of FundMe and the roles an account holds")
+    .addOptionalParam(
+        "account",
+        "Named account, signer index or address to inspect",
+        "deployer"
+    )
+    .setAction(async ({ account }, hre) => {
+        const fundMe = await hre.ethers.getContract("FundMe")
+        const { address } = await getSigner(hre, account)
+        const { owner, pendingOwner, roles } = await readRoles(fundMe, address)
+        console.log(`FundMe at ${fundMe.address}`)
+        console.log(`  Owner: ${owner}`)
+        if (pendingOwner !== hre.ethers.constants.AddressZero) {
+            console.log(`  Pending owner: ${pendingOwner}`)
+        }
+        console.log(
+            `  ${address}${address === owner ? " (owner)" : ""}: ${
+                roles.length > 0 ? roles.join(", ") : "no roles"
+            }`
+        )
+    })
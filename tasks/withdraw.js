@@ -0,0 +1,37 @@
+const { task } = require("hardhat/config")
+const { getSigner } = require("../utils/accounts")
+const { parseAmount } = require("../utils/amounts")
+const { sendOrQueue } = require("../utils/timelock")
+
+task("withdraw", "Withdraws from the deployed FundMe contract")
+    .addOptionalParam("amount", 'Amount to withdraw, or "all"', "all")
+    .addOptionalParam("unit", "Unit of --amount: eth or usd", "eth")
+    .addOptionalParam(
+        "from",
+        "Named account, signer index or address to withdraw with",
+        "deployer"
+    )
+    .setAction(async ({ amount, unit, from }, hre) => {
+        const signer = await getSigner(hre, from)
+        const fundMe = await hre.ethers.getContract("FundMe", signer)
+        const value =
+            amount === "all"
+                ? await fundMe.getContractBalance()
+                : await parseAmount(fundMe, amount, unit)
+        // FundMe rejects a zero withdrawal, don't pay gas to find out
+        if (value.isZero()) {
+            if (amount !== "all") {
+                throw new Error("--amount must be positive")
+            }
+            console.log(
+                `FundMe at ${fundMe.address} has no balance, nothing to withdraw`
+            )
+            return
+        }
+        console.log(
+            `Withdrawing ${hre.ethers.utils.formatEther(
+                value
+            )} ETH from FundMe at ${fundMe.address}...`
+        )
+        await sendOrQueue(fundMe, "withdraw", [value])
+    })
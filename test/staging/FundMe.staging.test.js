@@ -16,7 +16,9 @@ developmentChains.includes(network.name)
           it("allows people to fund and withdraw", async function () {
               const fundTxResponse = await fundMe.fund({ value: sendValue })
               await fundTxResponse.wait(1)
-              const withdrawTxResponse = await fundMe.withdraw()
+              const withdrawTxResponse = await fundMe.withdraw(
+                  await fundMe.getContractBalance()
+              )
               await withdrawTxResponse.wait(1)
 
               const endingFundMeBalance = await fundMe.provider.getBalance(
@@ -1,5 +1,6 @@
 const { assert, expect } = require("chai")
-const { deployments, ethers } = require("hardhat")
+const { deployments, ethers, network } = require("hardhat")
+const { getNetworkConfig } = require("../../helper-hardhat-config")
 
 describe("FundMe", function () {
     let fundMe
@@ -22,6 +23,14 @@ describe("FundMe", function () {
             const response = await fundMe.getPriceFeed()
             assert.equal(response, mockV3Aggregator.address)
         })
+
+        it("Should set the price feed heartbeat from the network config", async () => {
+            const response = await fundMe.getPriceFeedHeartbeat()
+            assert.equal(
+                response.toNumber(),
+                getNetworkConfig(network.config.chainId).priceFeedHeartbeat
+            )
+        })
     })
 
     describe("fund", function () {
@@ -56,6 +65,194 @@ describe("FundMe", function () {
         })
     })
 
+    describe("receive and fallback", function () {
+        let funder
+
+        beforeEach(async () => {
+            funder = (await ethers.getSigners())[1]
+        })
+
+        it("Should record a plain transfer like fund", async () => {
+            await expect(
+                funder.sendTransaction({ to: fundMe.address, value: sendValue })
+            )
+                .to.emit(fundMe, "FundContribution")
+                .withArgs(funder.address, sendValue)
+            assert.equal(
+                (
+                    await fundMe.getAddressToAmountFunded(funder.address)
+                ).toString(),
+                sendValue.toString()
+            )
+            assert.equal(await fundMe.getFunder(0), funder.address)
+            assert.equal(
+                (await fundMe.getTotalRaised()).toString(),
+                sendValue.toString()
+            )
+        })
+
+        it("Should record a transfer with unknown calldata like fund", async () => {
+            await expect(
+                funder.sendTransaction({
+                    to: fundMe.address,
+                    value: sendValue,
+                    data: "0x12345678",
+                })
+            )
+                .to.emit(fundMe, "FundContribution")
+                .withArgs(funder.address, sendValue)
+            assert.equal(
+                (
+                    await fundMe.getAddressToAmountFunded(funder.address)
+                ).toString(),
+                sendValue.toString()
+            )
+        })
+
+        it("Should list a funder once across fund and plain transfers", async () => {
+            await fundMe.connect(funder).fund({ value: sendValue })
+            await funder.sendTransaction({
+                to: fundMe.address,
+                value: sendValue,
+            })
+            assert.equal((await fundMe.getFundersCount()).toNumber(), 1)
+            assert.equal(
+                (
+                    await fundMe.getAddressToAmountFunded(funder.address)
+                ).toString(),
+                sendValue.mul(2).toString()
+            )
+        })
+
+        it("Should enforce the minimum on transfers with and without calldata", async () => {
+            const value = ethers.utils.parseEther("0.01")
+            await expect(
+                funder.sendTransaction({ to: fundMe.address, value })
+            ).to.be.revertedWith("You need to spend more ETH!")
+            await expect(
+                funder.sendTransaction({
+                    to: fundMe.address,
+                    value,
+                    data: "0x12345678",
+                })
+            ).to.be.revertedWith("You need to spend more ETH!")
+        })
+
+        it("Should reject plain transfers while paused", async () => {
+            await fundMe.pause()
+            await expect(
+                funder.sendTransaction({ to: fundMe.address, value: sendValue })
+            ).to.be.revertedWith("Funding is paused")
+        })
+
+        it("Should revert transfers limited to the 2300 gas stipend", async () => {
+            const MockTransferSender = await ethers.getContractFactory(
+                "MockTransferSender"
+            )
+            const sender = await MockTransferSender.deploy()
+            await expect(
+                sender.sendWithTransfer(fundMe.address, { value: sendValue })
+            ).to.be.reverted
+            await expect(
+                sender.sendWithCall(fundMe.address, { value: sendValue })
+            )
+                .to.emit(fundMe, "FundContribution")
+                .withArgs(sender.address, sendValue)
+        })
+
+        it("Should let a plain transfer be refunded", async () => {
+            await funder.sendTransaction({
+                to: fundMe.address,
+                value: sendValue,
+            })
+            await expect(fundMe.connect(funder).refund())
+                .to.emit(fundMe, "Refunded")
+                .withArgs(funder.address, sendValue)
+        })
+    })
+
+    describe("price feed checks", function () {
+        const price = ethers.utils.parseUnits("2000", 8)
+        let now
+
+        beforeEach(async () => {
+            now = (await ethers.provider.getBlock("latest")).timestamp
+        })
+
+        it("Should revert when the latest answer is zero or negative", async () => {
+            await mockV3Aggregator.updateRoundData(2, 0, now, now)
+            await expect(fundMe.fund({ value: sendValue })).to.be.revertedWith(
+                "Price feed answer is not positive"
+            )
+            await mockV3Aggregator.updateRoundData(3, -1, now, now)
+            await expect(fundMe.fund({ value: sendValue })).to.be.revertedWith(
+                "Price feed answer is not positive"
+            )
+        })
+
+        it("Should revert when the latest answer is older than the heartbeat", async () => {
+            const heartbeat = (await fundMe.getPriceFeedHeartbeat()).toNumber()
+            await mockV3Aggregator.updateRoundData(
+                2,
+                price,
+                now - heartbeat - 1,
+                now - heartbeat - 1
+            )
+            await expect(fundMe.fund({ value: sendValue })).to.be.revertedWith(
+                "Price feed answer is stale"
+            )
+        })
+
+        it("Should accept an answer just within the heartbeat", async () => {
+            const heartbeat = (await fundMe.getPriceFeedHeartbeat()).toNumber()
+            // A minute of slack for the blocks mined in between
+            await mockV3Aggregator.updateRoundData(
+                2,
+                price,
+                now - heartbeat + 60,
+                now - heartbeat + 60
+            )
+            await expect(fundMe.fund({ value: sendValue })).to.not.be.reverted
+        })
+
+        it("Should revert when the latest round was answered in an earlier round", async () => {
+            const Aggregator = await ethers.getContractFactory(
+                "MockIncompleteRoundAggregator"
+            )
+            const aggregator = await Aggregator.deploy(8)
+            await aggregator.setRoundData(5, price, now, 4)
+            await fundMe.updatePriceFeed(aggregator.address)
+            await expect(fundMe.fund({ value: sendValue })).to.be.revertedWith(
+                "Price feed round is incomplete"
+            )
+        })
+
+        it("Should scale answers of feeds with other decimals", async () => {
+            const Aggregator = await ethers.getContractFactory(
+                "MockV3Aggregator"
+            )
+            const aggregator = await Aggregator.deploy(
+                18,
+                ethers.utils.parseEther("2000")
+            )
+            await fundMe.updatePriceFeed(aggregator.address)
+            // $50 at $2000 is 0.025 ETH
+            await expect(
+                fundMe.fund({ value: ethers.utils.parseEther("0.024") })
+            ).to.be.revertedWith("You need to spend more ETH!")
+            await expect(
+                fundMe.fund({ value: ethers.utils.parseEther("0.025") })
+            ).to.not.be.reverted
+        })
+
+        it("Should reject a zero heartbeat", async () => {
+            const FundMe = await ethers.getContractFactory("FundMe")
+            await expect(
+                FundMe.deploy(mockV3Aggregator.address, 0, 0, 0, 0)
+            ).to.be.revertedWith("Heartbeat must be positive")
+        })
+    })
+
     describe("withdraw", function () {
         beforeEach(async () => {
             for (let i = 0; i < 6; i++) {
@@ -94,7 +291,24 @@ describe("FundMe", function () {
             const fundMeConnectedContract = await fundMe.connect(nonOwner)
             await expect(
                 fundMeConnectedContract.withdraw(sendValue)
-            ).to.be.revertedWith("You're not the owner!")
+            ).to.be.revertedWith("You don't have the required role!")
+        })
+
+        it("Should revert on a zero amount without ending the refund window", async () => {
+            await expect(fundMe.withdraw(0)).to.be.revertedWith(
+                "Amount must be positive"
+            )
+            await expect(fundMe.withdrawTo(deployer, 0)).to.be.revertedWith(
+                "Amount must be positive"
+            )
+            await expect(
+                fundMe.splitPayout([deployer], [10000], 0)
+            ).to.be.revertedWith("Amount must be positive")
+            assert.equal((await fundMe.getCurrentEpoch()).toString(), "0")
+            assert.equal(
+                (await fundMe.getRefundableAmount(deployer)).toString(),
+                sendValue.mul(6).toString()
+            )
         })
 
         it("Should revert if the specified amount exceeds the contract balance", async () => {
@@ -122,6 +336,72 @@ describe("FundMe", function () {
             assert.equal(finalContractBalance, 0)
         })
 
+        it("Should keep the contribution records after a partial withdraw", async () => {
+            await fundMe.withdraw(ethers.utils.parseEther("2"))
+
+            assert.equal(
+                (await fundMe.getAddressToAmountFunded(deployer)).toString(),
+                sendValue.mul(6).toString()
+            )
+            assert.equal(await fundMe.getFunder(0), deployer)
+            assert.equal(
+                (await fundMe.getTotalRaised()).toString(),
+                sendValue.mul(6).toString()
+            )
+            assert.equal(
+                (await fundMe.getTotalWithdrawn()).toString(),
+                ethers.utils.parseEther("2").toString()
+            )
+            assert.equal(
+                (await fundMe.getContractBalance()).toString(),
+                ethers.utils.parseEther("4").toString()
+            )
+        })
+
+        it("Should start a new epoch on every withdraw", async () => {
+            assert.equal((await fundMe.getCurrentEpoch()).toString(), "0")
+            assert.equal(
+                (await fundMe.getRefundableAmount(deployer)).toString(),
+                sendValue.mul(6).toString()
+            )
+
+            await fundMe.withdraw(sendValue)
+            assert.equal((await fundMe.getCurrentEpoch()).toString(), "1")
+            assert.equal(
+                (await fundMe.getRefundableAmount(deployer)).toString(),
+                "0"
+            )
+
+            await fundMe.fund({ value: sendValue })
+            await fundMe.withdraw(sendValue)
+            assert.equal((await fundMe.getCurrentEpoch()).toString(), "2")
+            assert.equal(
+                (await fundMe.getEpochAmountFunded(0, deployer)).toString(),
+                sendValue.mul(6).toString()
+            )
+            assert.equal(
+                (await fundMe.getEpochAmountFunded(1, deployer)).toString(),
+                sendValue.toString()
+            )
+            assert.equal(
+                (await fundMe.getAddressToAmountFunded(deployer)).toString(),
+                sendValue.mul(7).toString()
+            )
+            assert.equal(
+                (await fundMe.getTotalWithdrawn()).toString(),
+                sendValue.mul(2).toString()
+            )
+        })
+
+        it("Should not update the records when the withdrawal fails", async () => {
+            const contractBalance = await fundMe.getContractBalance()
+            await expect(
+                fundMe.withdraw(contractBalance.add(1))
+            ).to.be.revertedWith("Withdrawal failed")
+            assert.equal((await fundMe.getCurrentEpoch()).toString(), "0")
+            assert.equal((await fundMe.getTotalWithdrawn()).toString(), "0")
+        })
+
         it("Should allow the owner to withdraw when there is only one funder", async () => {
             await fundMe.fund({ value: sendValue })
             const initialContractBalance = await fundMe.provider.getBalance(
@@ -141,6 +421,926 @@ describe("FundMe", function () {
         })
     })
 
+    describe("withdrawTo and splitPayout", function () {
+        let accounts
+
+        beforeEach(async () => {
+            accounts = await ethers.getSigners()
+            await fundMe.fund({ value: sendValue.mul(2) })
+        })
+
+        it("Should send a withdrawal to the recipient", async () => {
+            const recipient = accounts[3].address
+            const startingBalance = await ethers.provider.getBalance(recipient)
+            await expect(fundMe.withdrawTo(recipient, sendValue))
+                .to.emit(fundMe, "FundsPaidOut")
+                .withArgs(recipient, sendValue)
+                .and.to.emit(fundMe, "FundsWithdrawn")
+                .withArgs(deployer, sendValue)
+
+            const endingBalance = await ethers.provider.getBalance(recipient)
+            assert.equal(
+                endingBalance.sub(startingBalance).toString(),
+                sendValue.toString()
+            )
+            assert.equal((await fundMe.getCurrentEpoch()).toString(), "1")
+            assert.equal(
+                (await fundMe.getTotalWithdrawn()).toString(),
+                sendValue.toString()
+            )
+        })
+
+        it("Should revert if someone other than a treasurer withdraws to a recipient", async () => {
+            await expect(
+                fundMe
+                    .connect(accounts[1])
+                    .withdrawTo(accounts[1].address, sendValue)
+            ).to.be.revertedWith("You don't have the required role!")
+        })
+
+        it("Should revert when withdrawing to the zero address", async () => {
+            await expect(
+                fundMe.withdrawTo(ethers.constants.AddressZero, sendValue)
+            ).to.be.revertedWith("Invalid recipient")
+        })
+
+        it("Should revert when the recipient rejects ETH", async () => {
+            // MockV3Aggregator has no receive or fallback function
+            await expect(
+                fundMe.withdrawTo(mockV3Aggregator.address, sendValue)
+            ).to.be.revertedWith("Withdrawal failed")
+            assert.equal(
+                (await fundMe.getContractBalance()).toString(),
+                sendValue.mul(2).toString()
+            )
+            assert.equal((await fundMe.getCurrentEpoch()).toString(), "0")
+        })
+
+        it("Should split a payout by basis points", async () => {
+            const recipients = [accounts[3].address, accounts[4].address]
+            const startingBalances = await Promise.all(
+                recipients.map((recipient) =>
+                    ethers.provider.getBalance(recipient)
+                )
+            )
+            const amount = ethers.utils.parseEther("1.5")
+            await expect(fundMe.splitPayout(recipients, [7000, 3000], amount))
+                .to.emit(fundMe, "FundsPaidOut")
+                .withArgs(recipients[0], ethers.utils.parseEther("1.05"))
+                .and.to.emit(fundMe, "FundsPaidOut")
+                .withArgs(recipients[1], ethers.utils.parseEther("0.45"))
+                .and.to.emit(fundMe, "FundsWithdrawn")
+                .withArgs(deployer, amount)
+
+            const endingBalances = await Promise.all(
+                recipients.map((recipient) =>
+                    ethers.provider.getBalance(recipient)
+                )
+            )
+            assert.equal(
+                endingBalances[0].sub(startingBalances[0]).toString(),
+                ethers.utils.parseEther("1.05").toString()
+            )
+            assert.equal(
+                endingBalances[1].sub(startingBalances[1]).toString(),
+                ethers.utils.parseEther("0.45").toString()
+            )
+            assert.equal((await fundMe.getCurrentEpoch()).toString(), "1")
+        })
+
+        it("Should give the rounding remainder to the last recipient", async () => {
+            const recipients = accounts
+                .slice(3, 6)
+                .map(({ address }) => address)
+            await expect(fundMe.splitPayout(recipients, [3333, 3333, 3334], 10))
+                .to.emit(fundMe, "FundsPaidOut")
+                .withArgs(recipients[2], 4)
+            assert.equal(
+                (await fundMe.getContractBalance()).toString(),
+                sendValue.mul(2).sub(10).toString()
+            )
+        })
+
+        it("Should revert when the shares do not add up to 100%", async () => {
+            const recipients = [accounts[3].address, accounts[4].address]
+            await expect(
+                fundMe.splitPayout(recipients, [5000, 4000], sendValue)
+            ).to.be.revertedWith("Shares must add up to 100%")
+            await expect(
+                fundMe.splitPayout(recipients, [10000], sendValue)
+            ).to.be.revertedWith("Recipients and shares differ")
+            await expect(
+                fundMe.splitPayout([], [], sendValue)
+            ).to.be.revertedWith("Recipients and shares differ")
+        })
+
+        it("Should revert the whole split when one recipient rejects ETH", async () => {
+            const recipient = accounts[3].address
+            const startingBalance = await ethers.provider.getBalance(recipient)
+            await expect(
+                fundMe.splitPayout(
+                    [recipient, mockV3Aggregator.address],
+                    [5000, 5000],
+                    sendValue
+                )
+            ).to.be.revertedWith("Withdrawal failed")
+            assert.equal(
+                (await ethers.provider.getBalance(recipient)).toString(),
+                startingBalance.toString()
+            )
+            assert.equal(
+                (await fundMe.getContractBalance()).toString(),
+                sendValue.mul(2).toString()
+            )
+        })
+
+        it("Should revert if someone other than a treasurer splits a payout", async () => {
+            await expect(
+                fundMe
+                    .connect(accounts[1])
+                    .splitPayout([accounts[1].address], [10000], sendValue)
+            ).to.be.revertedWith("You don't have the required role!")
+        })
+    })
+
+    describe("timelock", function () {
+        const delay = 2 * 24 * 60 * 60
+        let accounts
+        let timelocked
+
+        const increaseTime = async (seconds) => {
+            await network.provider.send("evm_increaseTime", [seconds])
+            await network.provider.send("evm_mine")
+        }
+
+        const queue = async (contract, method, args) => {
+            const data = timelocked.interface.encodeFunctionData(method, args)
+            const receipt = await (await contract.queueAction(data)).wait()
+            return receipt.events.find(({ event }) => event === "ActionQueued")
+                .args.id
+        }
+
+        beforeEach(async () => {
+            accounts = await ethers.getSigners()
+            const FundMe = await ethers.getContractFactory("FundMe")
+            timelocked = await FundMe.deploy(
+                mockV3Aggregator.address,
+                24 * 60 * 60,
+                0,
+                0,
+                delay
+            )
+            await timelocked.fund({ value: sendValue.mul(2) })
+        })
+
+        it("Should reject direct sensitive calls", async () => {
+            assert.equal(
+                (await timelocked.getTimelockDelay()).toNumber(),
+                delay
+            )
+            await expect(timelocked.withdraw(sendValue)).to.be.revertedWith(
+                "Action must be queued"
+            )
+            await expect(
+                timelocked.withdrawTo(accounts[1].address, sendValue)
+            ).to.be.revertedWith("Action must be queued")
+            await expect(
+                timelocked.splitPayout(
+                    [accounts[1].address],
+                    [10000],
+                    sendValue
+                )
+            ).to.be.revertedWith("Action must be queued")
+            await expect(
+                timelocked.updatePriceFeed(mockV3Aggregator.address)
+            ).to.be.revertedWith("Action must be queued")
+        })
+
+        it("Should queue an action with its eta", async () => {
+            const data = timelocked.interface.encodeFunctionData("withdraw", [
+                sendValue,
+            ])
+            const transactionResponse = await timelocked.queueAction(data)
+            const { blockNumber } = await transactionResponse.wait()
+            const { timestamp } = await ethers.provider.getBlock(blockNumber)
+            await expect(transactionResponse)
+                .to.emit(timelocked, "ActionQueued")
+                .withArgs(0, deployer, data, timestamp + delay)
+
+            const action = await timelocked.getAction(0)
+            assert.equal(action.proposer, deployer)
+            assert.equal(action.data, data)
+            assert.equal(action.eta.toNumber(), timestamp + delay)
+            assert.equal(action.status, 1)
+            assert.deepEqual(
+                (await timelocked.getPendingActions()).map((id) =>
+                    id.toNumber()
+                ),
+                [0]
+            )
+        })
+
+        it("Should not execute an action before its delay has passed", async () => {
+            const id = await queue(timelocked, "withdraw", [sendValue])
+            await increaseTime(delay - 60)
+            await expect(timelocked.executeAction(id)).to.be.revertedWith(
+                "Action is still timelocked"
+            )
+        })
+
+        it("Should execute a queued withdrawal after the delay", async () => {
+            const recipient = accounts[3].address
+            const id = await queue(timelocked, "withdrawTo", [
+                recipient,
+                sendValue,
+            ])
+            await increaseTime(delay)
+            const startingBalance = await ethers.provider.getBalance(recipient)
+
+            await expect(timelocked.executeAction(id))
+                .to.emit(timelocked, "ActionExecuted")
+                .withArgs(id, deployer)
+                .and.to.emit(timelocked, "FundsPaidOut")
+                .withArgs(recipient, sendValue)
+            const endingBalance = await ethers.provider.getBalance(recipient)
+            assert.equal(
+                endingBalance.sub(startingBalance).toString(),
+                sendValue.toString()
+            )
+            assert.equal((await timelocked.getAction(id)).status, 2)
+            assert.equal((await timelocked.getPendingActions()).length, 0)
+            await expect(timelocked.executeAction(id)).to.be.revertedWith(
+                "Action is not queued"
+            )
+        })
+
+        it("Should pay a queued withdraw to the account that queued it", async () => {
+            const treasurer = accounts[1]
+            await timelocked.grantRole(
+                await timelocked.TREASURER_ROLE(),
+                treasurer.address
+            )
+            const id = await queue(timelocked.connect(treasurer), "withdraw", [
+                sendValue,
+            ])
+            await increaseTime(delay)
+            await expect(timelocked.executeAction(id))
+                .to.emit(timelocked, "FundsPaidOut")
+                .withArgs(treasurer.address, sendValue)
+        })
+
+        it("Should credit queued withdrawals to the treasurer that queued them, not the executor", async () => {
+            const treasurer = accounts[1]
+            await timelocked.grantRole(
+                await timelocked.TREASURER_ROLE(),
+                treasurer.address
+            )
+            const withdrawId = await queue(
+                timelocked.connect(treasurer),
+                "withdrawTo",
+                [accounts[3].address, sendValue]
+            )
+            const splitId = await queue(
+                timelocked.connect(treasurer),
+                "splitPayout",
+                [[accounts[3].address], [10000], sendValue]
+            )
+            await increaseTime(delay)
+
+            await expect(timelocked.executeAction(withdrawId))
+                .to.emit(timelocked, "FundsWithdrawn")
+                .withArgs(treasurer.address, sendValue)
+            await expect(timelocked.executeAction(splitId))
+                .to.emit(timelocked, "FundsWithdrawn")
+                .withArgs(treasurer.address, sendValue)
+        })
+
+        it("Should execute queued price feed changes and split payouts", async () => {
+            const Aggregator = await ethers.getContractFactory(
+                "MockV3Aggregator"
+            )
+            const newPriceFeed = await Aggregator.deploy(
+                8,
+                ethers.utils.parseUnits("2000", 8)
+            )
+            const recipients = [accounts[3].address, accounts[4].address]
+            const feedId = await queue(timelocked, "updatePriceFeed", [
+                newPriceFeed.address,
+            ])
+            const splitId = await queue(timelocked, "splitPayout", [
+                recipients,
+                [5000, 5000],
+                sendValue,
+            ])
+            await increaseTime(delay)
+
+            await timelocked.executeAction(feedId)
+            assert.equal(await timelocked.getPriceFeed(), newPriceFeed.address)
+            await expect(timelocked.executeAction(splitId))
+                .to.emit(timelocked, "FundsPaidOut")
+                .withArgs(recipients[1], sendValue.div(2))
+        })
+
+        it("Should only let role holders queue and execute actions", async () => {
+            const stranger = timelocked.connect(accounts[2])
+            const data = timelocked.interface.encodeFunctionData("withdraw", [
+                sendValue,
+            ])
+            await expect(stranger.queueAction(data)).to.be.revertedWith(
+                "You don't have the required role!"
+            )
+            const id = await queue(timelocked, "withdraw", [sendValue])
+            await increaseTime(delay)
+            await expect(stranger.executeAction(id)).to.be.revertedWith(
+                "You don't have the required role!"
+            )
+        })
+
+        it("Should reject calls that cannot be queued", async () => {
+            const data = timelocked.interface.encodeFunctionData(
+                "transferOwnership",
+                [accounts[1].address]
+            )
+            await expect(timelocked.queueAction(data)).to.be.revertedWith(
+                "Unknown action"
+            )
+            await expect(timelocked.queueAction("0x")).to.be.revertedWith(
+                "Unknown action"
+            )
+        })
+
+        it("Should let the proposer or the owner cancel an action", async () => {
+            const id = await queue(timelocked, "withdraw", [sendValue])
+            await expect(
+                timelocked.connect(accounts[2]).cancelAction(id)
+            ).to.be.revertedWith("You can't cancel this action!")
+            await expect(timelocked.cancelAction(id))
+                .to.emit(timelocked, "ActionCancelled")
+                .withArgs(id, deployer)
+
+            await increaseTime(delay)
+            await expect(timelocked.executeAction(id)).to.be.revertedWith(
+                "Action is not queued"
+            )
+            assert.equal((await timelocked.getAction(id)).status, 3)
+            assert.equal((await timelocked.getPendingActions()).length, 0)
+        })
+
+        it("Should let a guardian cancel someone else's action", async () => {
+            const guardian = accounts[3]
+            await timelocked.grantRole(
+                await timelocked.GUARDIAN_ROLE(),
+                guardian.address
+            )
+            const id = await queue(timelocked, "withdraw", [sendValue])
+            await expect(timelocked.connect(guardian).cancelAction(id))
+                .to.emit(timelocked, "ActionCancelled")
+                .withArgs(id, guardian.address)
+        })
+
+        it("Should not execute the actions of a proposer whose role was revoked", async () => {
+            const treasurer = accounts[1]
+            const treasurerRole = await timelocked.TREASURER_ROLE()
+            await timelocked.grantRole(treasurerRole, treasurer.address)
+            const id = await queue(
+                timelocked.connect(treasurer),
+                "withdrawTo",
+                [accounts[4].address, sendValue]
+            )
+            await timelocked.revokeRole(treasurerRole, treasurer.address)
+            await increaseTime(delay)
+
+            await expect(timelocked.executeAction(id)).to.be.revertedWith(
+                "Proposer no longer has the role"
+            )
+            await timelocked.grantRole(treasurerRole, treasurer.address)
+            await expect(timelocked.executeAction(id))
+                .to.emit(timelocked, "ActionExecuted")
+                .withArgs(id, deployer)
+        })
+    })
+
+    describe("refund", function () {
+        let accounts
+
+        beforeEach(async () => {
+            accounts = await ethers.getSigners()
+        })
+
+        it("Should send the funder back what they funded and emit Refunded", async () => {
+            const funder = fundMe.connect(accounts[1])
+            await funder.fund({ value: sendValue })
+            const initialFunderBalance = await fundMe.provider.getBalance(
+                accounts[1].address
+            )
+
+            const transactionResponse = await funder.refund()
+            const transactionReceipt = await transactionResponse.wait()
+            const { gasUsed, effectiveGasPrice } = transactionReceipt
+            const refundGasCost = gasUsed.mul(effectiveGasPrice)
+
+            const finalFunderBalance = await fundMe.provider.getBalance(
+                accounts[1].address
+            )
+            assert.equal(
+                finalFunderBalance.toString(),
+                initialFunderBalance
+                    .add(sendValue)
+                    .sub(refundGasCost)
+                    .toString()
+            )
+            assert.equal(
+                (
+                    await fundMe.getAddressToAmountFunded(accounts[1].address)
+                ).toString(),
+                "0"
+            )
+            await expect(transactionResponse)
+                .to.emit(fundMe, "Refunded")
+                .withArgs(accounts[1].address, sendValue)
+        })
+
+        it("Should refund every contribution of a repeat funder and drop them from the funders", async () => {
+            const repeatFunder = fundMe.connect(accounts[1])
+            const otherFunder = fundMe.connect(accounts[2])
+            await repeatFunder.fund({ value: sendValue })
+            await otherFunder.fund({ value: sendValue })
+            await repeatFunder.fund({ value: sendValue })
+            await repeatFunder.fund({ value: sendValue })
+
+            await expect(repeatFunder.refund())
+                .to.emit(fundMe, "Refunded")
+                .withArgs(accounts[1].address, sendValue.mul(3))
+
+            assert.equal(await fundMe.getFunder(0), accounts[2].address)
+            await expect(fundMe.getFunder(1)).to.be.reverted
+            assert.equal(
+                (await fundMe.getContractBalance()).toString(),
+                sendValue.toString()
+            )
+        })
+
+        it("Should revert when the caller has nothing to refund", async () => {
+            await expect(
+                fundMe.connect(accounts[1]).refund()
+            ).to.be.revertedWith("Nothing to refund")
+        })
+
+        it("Should not refund twice", async () => {
+            const funder = fundMe.connect(accounts[1])
+            await funder.fund({ value: sendValue })
+            await funder.refund()
+            await expect(funder.refund()).to.be.revertedWith(
+                "Nothing to refund"
+            )
+        })
+
+        it("Should keep refunds and partial withdrawals consistent", async () => {
+            const first = fundMe.connect(accounts[1])
+            const second = fundMe.connect(accounts[2])
+            const third = fundMe.connect(accounts[3])
+            await first.fund({ value: sendValue })
+            await second.fund({ value: sendValue.mul(2) })
+            await first.refund()
+
+            // A withdrawal, even a partial one, ends the refundable period
+            // but keeps the records
+            await fundMe.withdraw(sendValue)
+            await expect(second.refund()).to.be.revertedWith(
+                "Nothing to refund"
+            )
+            assert.equal(await fundMe.getFunder(0), accounts[2].address)
+            assert.equal(
+                (
+                    await fundMe.getAddressToAmountFunded(accounts[2].address)
+                ).toString(),
+                sendValue.mul(2).toString()
+            )
+
+            await third.fund({ value: sendValue })
+            await first.fund({ value: sendValue })
+            await third.refund()
+            assert.equal(await fundMe.getFunder(0), accounts[2].address)
+            assert.equal(await fundMe.getFunder(1), accounts[1].address)
+            await expect(fundMe.getFunder(2)).to.be.reverted
+
+            // 1 ETH left from the first epoch plus the first funder's new 1 ETH
+            const contractBalance = await fundMe.getContractBalance()
+            assert.equal(
+                contractBalance.toString(),
+                sendValue.mul(2).toString()
+            )
+            assert.equal(
+                (await fundMe.getTotalRaised())
+                    .sub(await fundMe.getTotalWithdrawn())
+                    .toString(),
+                contractBalance.toString()
+            )
+            await fundMe.withdraw(sendValue.mul(2))
+            assert.equal((await fundMe.getContractBalance()).toString(), "0")
+        })
+    })
+
+    describe("campaign", function () {
+        // The mock prices ETH at $2000, so the goal takes 3 ETH
+        const goalUsd = ethers.utils.parseEther("5000")
+        const duration = 7 * 24 * 60 * 60
+        const heartbeat = 24 * 60 * 60
+        let accounts
+        let campaign
+        let deadline
+
+        const increaseTimePast = async (timestamp) => {
+            const { timestamp: now } = await ethers.provider.getBlock("latest")
+            await network.provider.send("evm_increaseTime", [
+                timestamp - now + 1,
+            ])
+            await network.provider.send("evm_mine")
+        }
+
+        beforeEach(async () => {
+            accounts = await ethers.getSigners()
+            const { timestamp } = await ethers.provider.getBlock("latest")
+            deadline = timestamp + duration
+            const FundMe = await ethers.getContractFactory("FundMe")
+            campaign = await FundMe.deploy(
+                mockV3Aggregator.address,
+                heartbeat,
+                goalUsd,
+                deadline,
+                0
+            )
+        })
+
+        it("Should report no campaign without a deadline", async () => {
+            assert.equal(await fundMe.getCampaignState(), 0)
+            assert.equal((await fundMe.getDeadline()).toString(), "0")
+            assert.equal((await fundMe.getGoalUsd()).toString(), "0")
+        })
+
+        it("Should reject a deadline in the past and a zero goal", async () => {
+            const FundMe = await ethers.getContractFactory("FundMe")
+            await expect(
+                FundMe.deploy(
+                    mockV3Aggregator.address,
+                    heartbeat,
+                    goalUsd,
+                    1,
+                    0
+                )
+            ).to.be.revertedWith("Deadline must be in the future")
+            await expect(
+                FundMe.deploy(
+                    mockV3Aggregator.address,
+                    heartbeat,
+                    0,
+                    deadline,
+                    0
+                )
+            ).to.be.revertedWith("Goal must be positive")
+        })
+
+        it("Should track the USD raised at the time of funding", async () => {
+            assert.equal(await campaign.getCampaignState(), 1)
+            await campaign.fund({ value: sendValue })
+            await mockV3Aggregator.updateAnswer(
+                ethers.utils.parseUnits("1000", 8)
+            )
+            await campaign.fund({ value: sendValue })
+
+            assert.equal(
+                (await campaign.getTotalRaisedUsd()).toString(),
+                ethers.utils.parseEther("3000").toString()
+            )
+            assert.equal(
+                (await campaign.getAddressToUsdFunded(deployer)).toString(),
+                ethers.utils.parseEther("3000").toString()
+            )
+        })
+
+        it("Should close funding at the deadline", async () => {
+            await increaseTimePast(deadline)
+            await expect(
+                campaign.fund({ value: sendValue })
+            ).to.be.revertedWith("Campaign has ended")
+        })
+
+        it("Should not let the owner withdraw before the deadline", async () => {
+            await campaign.fund({ value: sendValue.mul(3) })
+            await expect(campaign.withdraw(sendValue)).to.be.revertedWith(
+                "Campaign is still running"
+            )
+        })
+
+        it("Should let the owner withdraw once the goal is met after the deadline", async () => {
+            await campaign
+                .connect(accounts[1])
+                .fund({ value: sendValue.mul(2) })
+            await campaign.connect(accounts[2]).fund({ value: sendValue })
+            await increaseTimePast(deadline)
+
+            assert.equal(await campaign.getCampaignState(), 2)
+            await expect(
+                campaign.connect(accounts[1]).refund()
+            ).to.be.revertedWith("Nothing to refund")
+            await campaign.withdraw(sendValue.mul(3))
+            assert.equal((await campaign.getContractBalance()).toString(), "0")
+        })
+
+        it("Should let funders claim refunds when the goal is not met", async () => {
+            const funder = campaign.connect(accounts[1])
+            await funder.fund({ value: sendValue })
+            await campaign.connect(accounts[2]).fund({ value: sendValue })
+            await increaseTimePast(deadline)
+
+            assert.equal(await campaign.getCampaignState(), 3)
+            await expect(campaign.withdraw(sendValue)).to.be.revertedWith(
+                "Campaign goal not met"
+            )
+            await expect(funder.refund())
+                .to.emit(campaign, "Refunded")
+                .withArgs(accounts[1].address, sendValue)
+            assert.equal(
+                (await campaign.getTotalRaisedUsd()).toString(),
+                ethers.utils.parseEther("2000").toString()
+            )
+        })
+
+        it("Should take refunds made before the deadline out of the USD raised", async () => {
+            const funder = campaign.connect(accounts[1])
+            await funder.fund({ value: sendValue.mul(2) })
+            await campaign.connect(accounts[2]).fund({ value: sendValue })
+            await funder.refund()
+            await increaseTimePast(deadline)
+
+            // $2000 left of the $5000 goal
+            assert.equal(await campaign.getCampaignState(), 3)
+            assert.equal(
+                (
+                    await campaign.getAddressToUsdFunded(accounts[1].address)
+                ).toString(),
+                "0"
+            )
+        })
+    })
+
+    describe("ownership", function () {
+        let accounts
+
+        beforeEach(async () => {
+            accounts = await ethers.getSigners()
+        })
+
+        it("Should only change owner once the proposed owner accepts", async () => {
+            const newOwner = accounts[1].address
+            await expect(fundMe.transferOwnership(newOwner))
+                .to.emit(fundMe, "OwnershipTransferStarted")
+                .withArgs(deployer, newOwner)
+            assert.equal(await fundMe.getOwner(), deployer)
+            assert.equal(await fundMe.getPendingOwner(), newOwner)
+
+            await expect(fundMe.connect(accounts[1]).acceptOwnership())
+                .to.emit(fundMe, "OwnershipTransferred")
+                .withArgs(deployer, newOwner)
+            assert.equal(await fundMe.getOwner(), newOwner)
+            assert.equal(
+                await fundMe.getPendingOwner(),
+                ethers.constants.AddressZero
+            )
+        })
+
+        it("Should revert if someone other than the owner proposes a new owner", async () => {
+            await expect(
+                fundMe
+                    .connect(accounts[1])
+                    .transferOwnership(accounts[1].address)
+            ).to.be.revertedWith("You're not the owner!")
+        })
+
+        it("Should revert if someone other than the pending owner accepts", async () => {
+            await fundMe.transferOwnership(accounts[1].address)
+            await expect(
+                fundMe.connect(accounts[2]).acceptOwnership()
+            ).to.be.revertedWith("You're not the pending owner!")
+        })
+
+        it("Should cancel a pending transfer when the zero address is proposed", async () => {
+            await fundMe.transferOwnership(accounts[1].address)
+            await fundMe.transferOwnership(ethers.constants.AddressZero)
+            await expect(
+                fundMe.connect(accounts[1]).acceptOwnership()
+            ).to.be.revertedWith("You're not the pending owner!")
+        })
+
+        it("Should hand every owner permission to the new owner", async () => {
+            await fundMe.fund({ value: sendValue })
+            await fundMe.transferOwnership(accounts[1].address)
+            await fundMe.connect(accounts[1]).acceptOwnership()
+
+            await expect(fundMe.withdraw(sendValue)).to.be.revertedWith(
+                "You don't have the required role!"
+            )
+            const treasurerRole = await fundMe.TREASURER_ROLE()
+            await expect(
+                fundMe.grantRole(treasurerRole, deployer)
+            ).to.be.revertedWith("You're not the owner!")
+            await expect(fundMe.connect(accounts[1]).withdraw(sendValue))
+                .to.emit(fundMe, "FundsWithdrawn")
+                .withArgs(accounts[1].address, sendValue)
+        })
+    })
+
+    describe("roles", function () {
+        let accounts
+        let treasurer
+        let feedAdmin
+        let treasurerRole
+        let feedAdminRole
+
+        beforeEach(async () => {
+            accounts = await ethers.getSigners()
+            treasurer = accounts[1]
+            feedAdmin = accounts[2]
+            treasurerRole = await fundMe.TREASURER_ROLE()
+            feedAdminRole = await fundMe.FEED_ADMIN_ROLE()
+            await fundMe.grantRole(treasurerRole, treasurer.address)
+            await fundMe.grantRole(feedAdminRole, feedAdmin.address)
+            await fundMe.fund({ value: sendValue })
+        })
+
+        it("Should give the owner every role", async () => {
+            assert.isTrue(await fundMe.hasRole(treasurerRole, deployer))
+            assert.isTrue(await fundMe.hasRole(feedAdminRole, deployer))
+        })
+
+        it("Should only give granted accounts their own role", async () => {
+            assert.isTrue(
+                await fundMe.hasRole(treasurerRole, treasurer.address)
+            )
+            assert.isFalse(
+                await fundMe.hasRole(feedAdminRole, treasurer.address)
+            )
+            assert.isTrue(
+                await fundMe.hasRole(feedAdminRole, feedAdmin.address)
+            )
+            assert.isFalse(
+                await fundMe.hasRole(treasurerRole, feedAdmin.address)
+            )
+        })
+
+        it("Should let a treasurer withdraw to themselves", async () => {
+            const startingBalance = await treasurer.getBalance()
+            const transactionResponse = await fundMe
+                .connect(treasurer)
+                .withdraw(sendValue)
+            const { gasUsed, effectiveGasPrice } =
+                await transactionResponse.wait()
+            const endingBalance = await treasurer.getBalance()
+            assert.equal(
+                endingBalance.toString(),
+                startingBalance
+                    .add(sendValue)
+                    .sub(gasUsed.mul(effectiveGasPrice))
+                    .toString()
+            )
+        })
+
+        it("Should not let a treasurer update the price feed", async () => {
+            await expect(
+                fundMe
+                    .connect(treasurer)
+                    .updatePriceFeed(mockV3Aggregator.address)
+            ).to.be.revertedWith("You don't have the required role!")
+        })
+
+        it("Should let a feed admin update the price feed but not withdraw", async () => {
+            await expect(
+                fundMe
+                    .connect(feedAdmin)
+                    .updatePriceFeed(mockV3Aggregator.address)
+            ).to.emit(fundMe, "PriceFeedUpdated")
+            await expect(
+                fundMe.connect(feedAdmin).withdraw(sendValue)
+            ).to.be.revertedWith("You don't have the required role!")
+        })
+
+        it("Should not let role holders grant or revoke roles", async () => {
+            await expect(
+                fundMe
+                    .connect(treasurer)
+                    .grantRole(treasurerRole, accounts[3].address)
+            ).to.be.revertedWith("You're not the owner!")
+            await expect(
+                fundMe
+                    .connect(feedAdmin)
+                    .revokeRole(treasurerRole, treasurer.address)
+            ).to.be.revertedWith("You're not the owner!")
+        })
+
+        it("Should take the role away when it is revoked", async () => {
+            await expect(fundMe.revokeRole(treasurerRole, treasurer.address))
+                .to.emit(fundMe, "RoleRevoked")
+                .withArgs(treasurerRole, treasurer.address)
+            await expect(
+                fundMe.connect(treasurer).withdraw(sendValue)
+            ).to.be.revertedWith("You don't have the required role!")
+        })
+
+        it("Should emit RoleGranted and reject duplicate grants", async () => {
+            await expect(fundMe.grantRole(treasurerRole, accounts[3].address))
+                .to.emit(fundMe, "RoleGranted")
+                .withArgs(treasurerRole, accounts[3].address)
+            await expect(
+                fundMe.grantRole(treasurerRole, accounts[3].address)
+            ).to.be.revertedWith("Role already granted")
+        })
+
+        it("Should reject unknown roles and revoking roles never granted", async () => {
+            await expect(
+                fundMe.grantRole(
+                    ethers.utils.id("ADMIN_ROLE"),
+                    accounts[3].address
+                )
+            ).to.be.revertedWith("Unknown role")
+            await expect(
+                fundMe.revokeRole(feedAdminRole, treasurer.address)
+            ).to.be.revertedWith("Role not granted")
+        })
+    })
+
+    describe("pause", function () {
+        let accounts
+        let guardian
+
+        beforeEach(async () => {
+            accounts = await ethers.getSigners()
+            guardian = accounts[1]
+            await fundMe.grantRole(
+                await fundMe.GUARDIAN_ROLE(),
+                guardian.address
+            )
+            await fundMe.connect(accounts[2]).fund({ value: sendValue })
+        })
+
+        it("Should let a guardian pause funding", async () => {
+            assert.isFalse(await fundMe.isPaused())
+            await expect(fundMe.connect(guardian).pause())
+                .to.emit(fundMe, "Paused")
+                .withArgs(guardian.address)
+            assert.isTrue(await fundMe.isPaused())
+            await expect(fundMe.fund({ value: sendValue })).to.be.revertedWith(
+                "Funding is paused"
+            )
+        })
+
+        it("Should accept contributions again after unpause", async () => {
+            await fundMe.connect(guardian).pause()
+            await expect(fundMe.connect(guardian).unpause())
+                .to.emit(fundMe, "Unpaused")
+                .withArgs(guardian.address)
+            assert.isFalse(await fundMe.isPaused())
+            await expect(fundMe.fund({ value: sendValue })).to.emit(
+                fundMe,
+                "FundContribution"
+            )
+        })
+
+        it("Should only let guardians and the owner pause and unpause", async () => {
+            await expect(
+                fundMe.connect(accounts[2]).pause()
+            ).to.be.revertedWith("You don't have the required role!")
+            await fundMe.pause()
+            await expect(
+                fundMe.connect(accounts[2]).unpause()
+            ).to.be.revertedWith("You don't have the required role!")
+        })
+
+        it("Should reject pausing twice and unpausing open funding", async () => {
+            await expect(fundMe.unpause()).to.be.revertedWith(
+                "Funding is not paused"
+            )
+            await fundMe.pause()
+            await expect(fundMe.pause()).to.be.revertedWith(
+                "Funding is already paused"
+            )
+        })
+
+        it("Should still refund funders while paused", async () => {
+            await fundMe.connect(guardian).pause()
+            await expect(fundMe.connect(accounts[2]).refund())
+                .to.emit(fundMe, "Refunded")
+                .withArgs(accounts[2].address, sendValue)
+        })
+
+        it("Should still allow withdrawals while paused", async () => {
+            await fundMe.connect(guardian).pause()
+            await expect(fundMe.withdraw(sendValue))
+                .to.emit(fundMe, "FundsWithdrawn")
+                .withArgs(deployer, sendValue)
+            assert.equal((await fundMe.getContractBalance()).toString(), "0")
+        })
+    })
+
     describe("getters", function () {
         it("Should return the owner of the contract", async () => {
             const owner = await fundMe.getOwner()
@@ -166,15 +1366,16 @@ describe("FundMe", function () {
         })
 
         it("Should return the list of funders", async () => {
+            const accounts = await ethers.getSigners()
             const funders = []
             for (let i = 0; i < 5; i++) {
-                await fundMe.fund({ value: sendValue })
+                await fundMe.connect(accounts[i]).fund({ value: sendValue })
                 funders.push(await fundMe.getFunder(i))
             }
 
             assert.deepEqual(
                 funders,
-                funders.slice(0, 5),
+                accounts.slice(0, 5).map((account) => account.address),
                 "Funders list should match"
             )
         })
@@ -199,21 +1400,95 @@ describe("FundMe", function () {
             )
         })
 
-        it("Should return the list of funders when there are multiple funders", async () => {
+        it("Should list a repeat funder once", async () => {
             for (let i = 0; i < 5; i++) {
                 await fundMe.fund({ value: sendValue })
             }
 
-            const funders = []
+            assert.equal(await fundMe.getFunder(0), deployer)
+            assert.equal((await fundMe.getFundersCount()).toString(), "1")
+            await expect(fundMe.getFunder(1)).to.be.reverted
+            assert.equal(
+                (await fundMe.getAddressToAmountFunded(deployer)).toString(),
+                sendValue.mul(5).toString()
+            )
+        })
+
+        it("Should return 0 funders before anyone funds", async () => {
+            assert.equal((await fundMe.getFundersCount()).toString(), "0")
+            const [funders, amounts] = await fundMe.getFunders(0, 10)
+            assert.deepEqual(funders, [])
+            assert.deepEqual(amounts, [])
+        })
+
+        it("Should return the funders page by page with their amounts", async () => {
+            const accounts = await ethers.getSigners()
             for (let i = 0; i < 5; i++) {
-                funders.push(await fundMe.getFunder(i))
+                await fundMe
+                    .connect(accounts[i])
+                    .fund({ value: sendValue.mul(i + 1) })
+            }
+            // A second contribution adds to the amount, not to the list
+            await fundMe.connect(accounts[1]).fund({ value: sendValue })
+            assert.equal((await fundMe.getFundersCount()).toString(), "5")
+
+            const listed = []
+            const amounts = []
+            for (let offset = 0; offset < 5; offset += 2) {
+                const [pageFunders, pageAmounts] = await fundMe.getFunders(
+                    offset,
+                    2
+                )
+                assert.isAtMost(pageFunders.length, 2)
+                listed.push(...pageFunders)
+                amounts.push(...pageAmounts.map((amount) => amount.toString()))
             }
 
             assert.deepEqual(
-                funders,
-                funders.slice(0, 5),
-                "Funders list should match"
+                listed,
+                accounts.slice(0, 5).map((account) => account.address)
             )
+            assert.deepEqual(amounts, [
+                sendValue.toString(),
+                sendValue.mul(3).toString(),
+                sendValue.mul(3).toString(),
+                sendValue.mul(4).toString(),
+                sendValue.mul(5).toString(),
+            ])
+        })
+
+        it("Should return an empty page past the end of the list", async () => {
+            await fundMe.fund({ value: sendValue })
+            const [funders, amounts] = await fundMe.getFunders(1, 10)
+            assert.deepEqual(funders, [])
+            assert.deepEqual(amounts, [])
+
+            const [allFunders] = await fundMe.getFunders(
+                0,
+                ethers.constants.MaxUint256
+            )
+            assert.deepEqual(allFunders, [deployer])
+        })
+
+        it("Should keep the funder list consistent when a funder in the middle refunds", async () => {
+            const accounts = await ethers.getSigners()
+            for (let i = 0; i < 3; i++) {
+                await fundMe.connect(accounts[i]).fund({ value: sendValue })
+            }
+            await fundMe.connect(accounts[0]).refund()
+
+            // The last funder takes the refunded funder's place
+            const [funders] = await fundMe.getFunders(0, 10)
+            assert.deepEqual(funders, [
+                accounts[2].address,
+                accounts[1].address,
+            ])
+
+            // and can still refund and fund again from there
+            await fundMe.connect(accounts[2]).refund()
+            await fundMe.connect(accounts[0]).fund({ value: sendValue })
+            const [after] = await fundMe.getFunders(0, 10)
+            assert.deepEqual(after, [accounts[1].address, accounts[0].address])
         })
 
         it("Should return the correct contract balance", async () => {
@@ -257,7 +1532,7 @@ describe("FundMe", function () {
             const fundMeConnectedContract = await fundMe.connect(nonOwner)
             await expect(
                 fundMeConnectedContract.updatePriceFeed(newPriceFeed.address)
-            ).to.be.revertedWith("You're not the owner!")
+            ).to.be.revertedWith("You don't have the required role!")
         })
 
         it("Should allow the owner to update the price feed to a new valid address", async () => {
@@ -0,0 +1,75 @@
+const { assert, expect } = require("chai")
+const { getLogsInChunks } = require("../../utils/ledger")
+
+describe("ledger", function () {
+    describe("getLogsInChunks", function () {
+        // Answers getLogs with one fake log per block, and rejects ranges
+        // wider than `maxRange` like a node limiting eth_getLogs would
+        const createProvider = (maxRange = Infinity) => {
+            const calls = []
+            return {
+                calls,
+                getLogs: async ({ fromBlock, toBlock }) => {
+                    calls.push([fromBlock, toBlock])
+                    if (toBlock - fromBlock + 1 > maxRange) {
+                        throw new Error(
+                            "query returned more than 10000 results"
+                        )
+                    }
+                    const logs = []
+                    for (let block = fromBlock; block <= toBlock; block++) {
+                        logs.push({ blockNumber: block })
+                    }
+                    return logs
+                },
+            }
+        }
+
+        it("Should retry a rejected range with half the chunk size", async () => {
+            const provider = createProvider(2)
+            const chunks = []
+            const logs = await getLogsInChunks(
+                provider,
+                {},
+                0,
+                7,
+                8,
+                (start, end) => chunks.push([start, end])
+            )
+            assert.equal(logs.length, 8)
+            assert.deepEqual(chunks, [
+                [0, 1],
+                [2, 3],
+                [4, 5],
+                [6, 7],
+            ])
+        })
+
+        it("Should not retry a chunk when onChunk throws", async () => {
+            const provider = createProvider()
+            let applied = 0
+            let error
+            try {
+                await getLogsInChunks(
+                    provider,
+                    {},
+                    0,
+                    7,
+                    4,
+                    (start, end, chunk) => {
+                        applied += chunk.length
+                        throw new Error("Could not save the ledger")
+                    }
+                )
+            } catch (e) {
+                error = e
+            }
+            expect(error).to.have.property(
+                "message",
+                "Could not save the ledger"
+            )
+            assert.equal(applied, 4)
+            assert.deepEqual(provider.calls, [[0, 3]])
+        })
+    })
+})
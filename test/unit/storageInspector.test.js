@@ -0,0 +1,92 @@
+const { assert } = require("chai")
+const hre = require("hardhat")
+const { inspectStorage } = require("../../utils/storageInspector")
+
+const { deployments, ethers, network } = hre
+
+describe("storageInspector", function () {
+    const sendValue = ethers.utils.parseEther("1")
+    let accounts
+    let fundMe
+
+    const valueOf = (storage, name) => {
+        const row = storage.find((entry) => entry.name === name)
+        assert.exists(row, `no row for ${name}`)
+        return row.value
+    }
+
+    beforeEach(async () => {
+        accounts = await ethers.getSigners()
+        await deployments.fixture(["mocks"])
+        const mockV3Aggregator = await ethers.getContract("MockV3Aggregator")
+        const FundMe = await ethers.getContractFactory("FundMe")
+        fundMe = await FundMe.deploy(
+            mockV3Aggregator.address,
+            24 * 60 * 60,
+            0,
+            0,
+            60
+        )
+        await fundMe.connect(accounts[1]).fund({ value: sendValue })
+        const data = fundMe.interface.encodeFunctionData("withdraw", [
+            sendValue,
+        ])
+        await fundMe.queueAction(data)
+        await network.provider.send("evm_increaseTime", [60])
+        await fundMe.executeAction(0)
+        await fundMe.connect(accounts[2]).fund({ value: sendValue.mul(2) })
+        await fundMe.grantRole(
+            await fundMe.GUARDIAN_ROLE(),
+            accounts[3].address
+        )
+        await fundMe.queueAction(data)
+    })
+
+    it("Should decode per-epoch contributions for every epoch and funder", async () => {
+        const { storage } = await inspectStorage(hre, fundMe.address)
+        assert.equal(valueOf(storage, "currentEpoch"), "1")
+        assert.equal(
+            valueOf(
+                storage,
+                `epochToAddressToAmountFunded[0][${accounts[1].address}]`
+            ),
+            sendValue.toString()
+        )
+        assert.equal(
+            valueOf(
+                storage,
+                `epochToAddressToAmountFunded[1][${accounts[2].address}]`
+            ),
+            sendValue.mul(2).toString()
+        )
+        assert.equal(
+            valueOf(
+                storage,
+                `epochToAddressToAmountFunded[1][${accounts[1].address}]`
+            ),
+            "0"
+        )
+    })
+
+    it("Should decode role members and pending actions", async () => {
+        const { storage } = await inspectStorage(hre, fundMe.address)
+        const guardianRole = await fundMe.GUARDIAN_ROLE()
+        const treasurerRole = await fundMe.TREASURER_ROLE()
+        assert.equal(
+            valueOf(
+                storage,
+                `roleMembers[${guardianRole}][${accounts[3].address}]`
+            ),
+            true
+        )
+        assert.equal(
+            valueOf(
+                storage,
+                `roleMembers[${treasurerRole}][${accounts[3].address}]`
+            ),
+            false
+        )
+        assert.equal(valueOf(storage, "pendingActionIds[0]"), "1")
+        assert.equal(valueOf(storage, "pendingActionToIndex[1]"), "1")
+    })
+})
@@ -0,0 +1,33 @@
+/**
+ * Resolves a signer from a named account (see `namedAccounts` in
+ * hardhat.config.js), a signer index or a plain address.
+ * @param {object} hre The Hardhat runtime environment.
+ * @param {string} account e.g. "deployer", "2" or "0xabc...".
+ */
+const getSigner = async (hre, account) => {
+    const { ethers } = hre
+    if (/^\d+$/.test(account)) {
+        const signers = await ethers.getSigners()
+        const signer = signers[Number(account)]
+        if (!signer) {
+            throw new Error(
+                `No signer at index ${account}, only ${signers.length} available`
+            )
+        }
+        return signer
+    }
+    if (ethers.utils.isAddress(account)) {
+        return ethers.getSigner(account)
+    }
+    const namedAccounts = await hre.getNamedAccounts()
+    if (!namedAccounts[account]) {
+        throw new Error(
+            `Unknown account "${account}", expected a named account (${Object.keys(
+                namedAccounts
+            ).join(", ")}), a signer index or an address`
+        )
+    }
+    return ethers.getSigner(namedAccounts[account])
+}
+
+module.exports = { getSigner }
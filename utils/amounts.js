@@ -0,0 +1,27 @@
+const { ethers } = require("ethers")
+const { getPriceFeed, usdToWei } = require("./priceFeed")
+
+const UNITS = ["eth", "usd"]
+
+/**
+ * Parses a task amount into wei. USD amounts are converted with the price
+ * feed FundMe is currently using, so they match what `fund()` will check.
+ * @param {ethers.Contract} fundMe The deployed FundMe contract.
+ * @param {string} amount The amount as typed on the command line.
+ * @param {string} unit Either "eth" or "usd".
+ */
+const parseAmount = async (fundMe, amount, unit) => {
+    const normalizedUnit = unit.toLowerCase()
+    if (!UNITS.includes(normalizedUnit)) {
+        throw new Error(
+            `Unknown unit "${unit}", expected one of ${UNITS.join(", ")}`
+        )
+    }
+    if (normalizedUnit === "eth") {
+        return ethers.utils.parseEther(amount)
+    }
+    const priceFeed = getPriceFeed(await fundMe.getPriceFeed(), fundMe.provider)
+    return usdToWei(priceFeed, amount)
+}
+
+module.exports = { UNITS, parseAmount }
@@ -0,0 +1,176 @@
+const fs = require("fs")
+const path = require("path")
+const { ethers } = require("ethers")
+const { getPriceFeed } = require("./priceFeed")
+const { applyLog, createLedger, getLogsInChunks } = require("./ledger")
+
+const COLUMNS = [
+    "transactionHash",
+    "blockNumber",
+    "timestamp",
+    "funder",
+    "ethAmount",
+    "ethUsdPrice",
+    "usdAmount",
+    "refunded",
+    "refundTransactionHash",
+]
+
+const toCsvField = (value) => {
+    const text = String(value)
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const toCsv = (rows) =>
+    [COLUMNS, ...rows.map((row) => COLUMNS.map((column) => row[column]))]
+        .map((fields) => fields.map(toCsvField).join(","))
+        .join("\n") + "\n"
+
+// Truncates an 18 decimals fixed point value to `decimals` places.
+const formatFixed = (value, decimals = 2) => {
+    const [whole, fraction = ""] = ethers.utils
+        .formatUnits(value, 18)
+        .split(".")
+    return `${whole}.${fraction.padEnd(decimals, "0").slice(0, decimals)}`
+}
+
+// Events replayed to tell which contributions were refunded
+const EXPORT_EVENTS = ["FundContribution", "Refunded", "FundsWithdrawn"]
+
+const isBefore = (a, b) =>
+    a.blockNumber < b.blockNumber ||
+    (a.blockNumber === b.blockNumber && a.logIndex < b.logIndex)
+
+/**
+ * Maps each refunded contribution ("<transactionHash>:<logIndex>") to the
+ * refund's transaction hash. `refund` returns everything the funder put in
+ * during the current epoch, so it covers each of their earlier
+ * contributions of that epoch.
+ */
+const findRefundedContributions = (ledger) => {
+    const refunded = new Map()
+    for (const refund of ledger.refunds) {
+        for (const contribution of ledger.contributions) {
+            const key = `${contribution.transactionHash}:${contribution.logIndex}`
+            if (
+                contribution.funder === refund.funder &&
+                contribution.epoch === refund.epoch &&
+                isBefore(contribution, refund) &&
+                !refunded.has(key)
+            ) {
+                refunded.set(key, refund.transactionHash)
+            }
+        }
+    }
+    return refunded
+}
+
+/**
+ * Reads every `FundContribution` event of FundMe and values it in USD with
+ * the answer `priceFeedAddress` reported at the event's block. Contributions
+ * refunded by `toBlock` are marked, so totals can leave them out.
+ * Historical calls need an archive node on live networks.
+ */
+const getContributions = async (
+    provider,
+    fundMe,
+    priceFeedAddress,
+    { fromBlock, toBlock, chunkSize }
+) => {
+    const priceFeed = getPriceFeed(priceFeedAddress, provider)
+    const logs = await getLogsInChunks(
+        provider,
+        {
+            address: fundMe.address,
+            topics: [
+                EXPORT_EVENTS.map((name) =>
+                    fundMe.interface.getEventTopic(name)
+                ),
+            ],
+        },
+        fromBlock,
+        toBlock,
+        chunkSize
+    )
+    const ledger = createLedger({
+        address: fundMe.address,
+        deploymentBlock: fromBlock,
+    })
+    for (const log of logs) {
+        applyLog(ledger, log, fundMe.interface.parseLog(log))
+    }
+    const refunded = findRefundedContributions(ledger)
+
+    const blocks = new Map()
+    const getBlockData = async (blockNumber) => {
+        if (!blocks.has(blockNumber)) {
+            let roundData
+            let decimals
+            try {
+                decimals = await priceFeed.decimals({ blockTag: blockNumber })
+                roundData = await priceFeed.latestRoundData({
+                    blockTag: blockNumber,
+                })
+            } catch (error) {
+                throw new Error(
+                    `Could not read ${priceFeedAddress} at block ${blockNumber} (is this an archive node?): ${error.message}`
+                )
+            }
+            const block = await provider.getBlock(blockNumber)
+            blocks.set(blockNumber, {
+                timestamp: block.timestamp,
+                // ETH/USD price scaled to 18 decimals
+                price: roundData.answer
+                    .mul(ethers.utils.parseUnits("1", 18))
+                    .div(ethers.BigNumber.from(10).pow(decimals)),
+            })
+        }
+        return blocks.get(blockNumber)
+    }
+
+    const rows = []
+    for (const contribution of ledger.contributions) {
+        const { transactionHash, blockNumber, logIndex, funder } = contribution
+        const amount = ethers.BigNumber.from(contribution.amount)
+        const { timestamp, price } = await getBlockData(blockNumber)
+        const refundTransactionHash = refunded.get(
+            `${transactionHash}:${logIndex}`
+        )
+        rows.push({
+            transactionHash,
+            blockNumber,
+            timestamp: new Date(timestamp * 1000).toISOString(),
+            funder,
+            ethAmount: ethers.utils.formatEther(amount),
+            ethUsdPrice: formatFixed(price),
+            usdAmount: formatFixed(
+                amount.mul(price).div(ethers.utils.parseEther("1"))
+            ),
+            refunded: Boolean(refundTransactionHash),
+            refundTransactionHash: refundTransactionHash || "",
+        })
+    }
+    return rows
+}
+
+/**
+ * Writes `rows` as CSV and/or JSON into `outDir` and returns the file paths.
+ * @param {string} format "csv", "json" or "both".
+ */
+const writeContributions = (rows, outDir, baseName, format) => {
+    const files = []
+    fs.mkdirSync(outDir, { recursive: true })
+    if (format === "csv" || format === "both") {
+        const file = path.join(outDir, `${baseName}.csv`)
+        fs.writeFileSync(file, toCsv(rows))
+        files.push(file)
+    }
+    if (format === "json" || format === "both") {
+        const file = path.join(outDir, `${baseName}.json`)
+        fs.writeFileSync(file, JSON.stringify(rows, null, 2) + "\n")
+        files.push(file)
+    }
+    return files
+}
+
+module.exports = { COLUMNS, getContributions, toCsv, writeContributions }
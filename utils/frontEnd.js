@@ -0,0 +1,243 @@
+const fs = require("fs")
+const path = require("path")
+const { ethers } = require("ethers")
+const { developmentChainIds } = require("../helper-hardhat-config")
+
+const FRONT_END_CONSTANTS_FILE = path.join(
+    __dirname,
+    "..",
+    "front-end",
+    "constants.js"
+)
+
+const HEADER = `// This file is generated by deploy/99-update-front-end.js, do not edit it by hand.
+// Run \`yarn hardhat deploy --network <network>\` to add or update a deployment,
+// and \`yarn hardhat check-front-end\` to check that it is up to date.
+`
+
+const EXPORTS = ["contractAddresses", "deploymentBlocks", "abi"]
+
+const sortByChainId = (map) =>
+    Object.fromEntries(
+        Object.entries(map).sort(([a], [b]) => Number(a) - Number(b))
+    )
+
+/**
+ * Renders the front-end constants module.
+ */
+const renderConstants = ({ contractAddresses, deploymentBlocks, abi }) =>
+    HEADER +
+    [
+        ["contractAddresses", sortByChainId(contractAddresses)],
+        ["deploymentBlocks", sortByChainId(deploymentBlocks)],
+        ["abi", abi],
+    ]
+        .map(
+            ([name, value]) =>
+                `export const ${name} = ${JSON.stringify(value, null, 2)}\n`
+        )
+        .join("")
+
+/**
+ * Reads the exports of a constants module written by `renderConstants`.
+ * Anything else (e.g. a hand edited file) yields empty maps.
+ */
+const readConstants = (file = FRONT_END_CONSTANTS_FILE) => {
+    const constants = { contractAddresses: {}, deploymentBlocks: {}, abi: [] }
+    if (!fs.existsSync(file)) return constants
+    const source = fs.readFileSync(file, "utf8")
+    const pattern =
+        /^export const (\w+) = ([\s\S]*?)(?=^export const |(?![\s\S]))/gm
+    for (const [, name, value] of source.matchAll(pattern)) {
+        if (!EXPORTS.includes(name)) continue
+        try {
+            constants[name] = JSON.parse(value)
+        } catch (error) {
+            throw new Error(
+                `Could not parse \`${name}\` in ${file}, restore the generated format: ${error.message}`
+            )
+        }
+    }
+    return constants
+}
+
+let servingNode = false
+
+/**
+ * Called by the `node` task: the in-process hardhat network is then served
+ * over JSON-RPC, and its deployment belongs in the front-end constants.
+ */
+const markServingNode = () => {
+    servingNode = true
+}
+
+/**
+ * Returns true for the in-process hardhat network of tests and scripts,
+ * which disappears with the process, but not when it is served by `hardhat node`.
+ */
+const isInProcessNetwork = (hre) =>
+    hre.network.name === "hardhat" && !servingNode
+
+/**
+ * Merges the FundMe deployment of the current network into the existing
+ * constants, keeping the entries of every other chain.
+ */
+const buildConstants = async (hre, existing = readConstants()) => {
+    const { abi } = await hre.artifacts.readArtifact("FundMe")
+    const constants = {
+        contractAddresses: { ...existing.contractAddresses },
+        deploymentBlocks: { ...existing.deploymentBlocks },
+        abi,
+    }
+    if (isInProcessNetwork(hre)) return constants
+
+    const deployment = await hre.deployments.getOrNull("FundMe")
+    if (!deployment) return constants
+    const chainId = String(hre.network.config.chainId)
+    constants.contractAddresses[chainId] = deployment.address
+    if (deployment.receipt && deployment.receipt.blockNumber !== undefined) {
+        constants.deploymentBlocks[chainId] = deployment.receipt.blockNumber
+    } else {
+        delete constants.deploymentBlocks[chainId]
+    }
+    return constants
+}
+
+const updateFrontEndConstants = async (
+    hre,
+    file = FRONT_END_CONSTANTS_FILE
+) => {
+    const rendered = renderConstants(
+        await buildConstants(hre, readConstants(file))
+    )
+    fs.writeFileSync(file, rendered)
+    return file
+}
+
+/**
+ * Returns true when the committed constants match the current ABI and the
+ * current network's deployment.
+ */
+const isFrontEndUpToDate = async (hre, file = FRONT_END_CONSTANTS_FILE) => {
+    const current = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : ""
+    const expected = renderConstants(
+        await buildConstants(hre, readConstants(file))
+    )
+    return current === expected
+}
+
+/**
+ * Returns the names of the `abi` functions missing from `code`, a contract's
+ * deployed bytecode. Solidity's dispatcher compares the calldata against
+ * every external function's selector, so each one appears in the code
+ * (pushed without its leading zero bytes).
+ */
+const findMissingFunctions = (abi, code) => {
+    const contractInterface = new ethers.utils.Interface(abi)
+    const bytecode = code.toLowerCase()
+    return Object.values(contractInterface.functions)
+        .filter((fragment) => {
+            const selector = contractInterface
+                .getSighash(fragment)
+                .slice(2)
+                .replace(/^(00)+/, "")
+            return !bytecode.includes(selector)
+        })
+        .map((fragment) => fragment.name)
+}
+
+// A provider for `chainId` from the networks in hardhat.config.js, preferring
+// the one the task runs on. The in-process hardhat network has no deployments.
+const getProviderForChain = (hre, chainId) => {
+    if (
+        hre.network.name !== "hardhat" &&
+        hre.network.config.chainId === chainId
+    ) {
+        return hre.ethers.provider
+    }
+    const match = Object.entries(hre.config.networks).find(
+        ([name, config]) =>
+            name !== "hardhat" &&
+            name !== hre.network.name &&
+            config.chainId === chainId &&
+            config.url
+    )
+    return match && new ethers.providers.JsonRpcProvider(match[1].url)
+}
+
+/**
+ * Checks that each address in the constants holds a contract matching the
+ * ABI, so the page never loads a FundMe without the functions it calls.
+ * Returns `{ problems, skipped }`: the entries that are wrong, and the chains
+ * that could not be reached (no network for the chain in hardhat.config.js,
+ * or the RPC failed).
+ */
+const checkDeployedContracts = async (hre, constants = readConstants()) => {
+    const problems = []
+    const skipped = []
+    for (const [chainId, address] of Object.entries(
+        constants.contractAddresses
+    )) {
+        const provider = getProviderForChain(hre, Number(chainId))
+        if (!provider) {
+            skipped.push({ chainId, reason: "no network configured" })
+            continue
+        }
+        let code
+        try {
+            code = await provider.getCode(address)
+        } catch (error) {
+            skipped.push({ chainId, reason: error.message })
+            continue
+        }
+        if (code === "0x") {
+            problems.push({ chainId, address, message: "no contract code" })
+            continue
+        }
+        const missing = findMissingFunctions(constants.abi, code)
+        if (missing.length > 0) {
+            problems.push({
+                chainId,
+                address,
+                message: `a contract without ${
+                    missing.length
+                } of the ABI's functions (${missing.slice(0, 5).join(", ")}${
+                    missing.length > 5 ? ", …" : ""
+                })`,
+            })
+        }
+    }
+    // A local node is only reachable while it runs
+    return {
+        problems,
+        skipped: skipped.filter(
+            ({ chainId }) => !developmentChainIds.includes(Number(chainId))
+        ),
+    }
+}
+
+/**
+ * Drops the deployments of `chainIds` from the constants file.
+ */
+const removeDeployments = (chainIds, file = FRONT_END_CONSTANTS_FILE) => {
+    const constants = readConstants(file)
+    for (const chainId of chainIds) {
+        delete constants.contractAddresses[chainId]
+        delete constants.deploymentBlocks[chainId]
+    }
+    fs.writeFileSync(file, renderConstants(constants))
+}
+
+module.exports = {
+    FRONT_END_CONSTANTS_FILE,
+    buildConstants,
+    checkDeployedContracts,
+    findMissingFunctions,
+    isFrontEndUpToDate,
+    isInProcessNetwork,
+    markServingNode,
+    readConstants,
+    removeDeployments,
+    renderConstants,
+    updateFrontEndConstants,
+}
@@ -0,0 +1,28 @@
+const DEFAULT_PAGE_SIZE = 100
+
+/**
+ * Reads every funder of `fundMe` with the amount they funded, through
+ * `getFundersCount` and `getFunders`, `pageSize` funders per call.
+ * @returns {Promise<{address: string, amount: import("ethers").BigNumber}[]>}
+ */
+const readFunders = async (fundMe, pageSize = DEFAULT_PAGE_SIZE, blockTag) => {
+    const overrides = blockTag !== undefined ? { blockTag } : {}
+    const count = (await fundMe.getFundersCount(overrides)).toNumber()
+    const funders = []
+    for (let offset = 0; offset < count; offset += pageSize) {
+        const [addresses, amounts] = await fundMe.getFunders(
+            offset,
+            pageSize,
+            overrides
+        )
+        addresses.forEach((address, index) =>
+            funders.push({ address, amount: amounts[index] })
+        )
+    }
+    return funders
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    readFunders,
+}
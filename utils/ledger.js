@@ -0,0 +1,302 @@
+const fs = require("fs")
+const path = require("path")
+const { ethers } = require("ethers")
+
+const LEDGER_VERSION = 3
+const DEFAULT_CHUNK_SIZE = 2000
+
+// Events replayed into the ledger, in the order FundMe emits them.
+const LEDGER_EVENTS = [
+    "FundContribution",
+    "Refunded",
+    "FundsPaidOut",
+    "FundsWithdrawn",
+    "PriceFeedUpdated",
+]
+
+/**
+ * Returns the block FundMe was deployed in, as recorded by hardhat-deploy
+ * in `deployments/<network>/FundMe.json`.
+ */
+const getDeploymentBlock = async (hre, contractName = "FundMe") => {
+    const deployment = await hre.deployments.get(contractName)
+    if (deployment.receipt && deployment.receipt.blockNumber !== undefined) {
+        return deployment.receipt.blockNumber
+    }
+    if (deployment.transactionHash) {
+        const receipt = await hre.ethers.provider.getTransactionReceipt(
+            deployment.transactionHash
+        )
+        if (receipt) return receipt.blockNumber
+    }
+    throw new Error(
+        `Could not find the deployment block of ${contractName}, pass --from-block explicitly`
+    )
+}
+
+/**
+ * Fetches logs between `fromBlock` and `toBlock` (inclusive) in chunks of
+ * `chunkSize` blocks. A chunk rejected by the node (too many results, range
+ * too large) is retried with half the size, which is kept for the rest of the scan.
+ * @param {ethers.providers.Provider} provider
+ * @param {object} filter An `eth_getLogs` filter without the block range.
+ * @param {(start: number, end: number, logs: object[]) => any} onChunk
+ * Called (and awaited) after each chunk, in block order.
+ */
+const getLogsInChunks = async (
+    provider,
+    filter,
+    fromBlock,
+    toBlock,
+    chunkSize = DEFAULT_CHUNK_SIZE,
+    onChunk = () => {}
+) => {
+    const logs = []
+    let start = fromBlock
+    let size = chunkSize
+    while (start <= toBlock) {
+        const end = Math.min(start + size - 1, toBlock)
+        let chunk
+        try {
+            chunk = await provider.getLogs({
+                ...filter,
+                fromBlock: start,
+                toBlock: end,
+            })
+        } catch (error) {
+            if (end === start) throw error
+            size = Math.max(1, Math.floor((end - start + 1) / 2))
+            continue
+        }
+        logs.push(...chunk)
+        // Outside the retry: an error here is not the node's, and retrying
+        // would hand the same logs to onChunk twice
+        await onChunk(start, end, chunk)
+        start = end + 1
+    }
+    return logs
+}
+
+const createLedger = ({ chainId, network, address, deploymentBlock }) => ({
+    version: LEDGER_VERSION,
+    chainId,
+    network,
+    address,
+    deploymentBlock,
+    lastIndexedBlock: deploymentBlock - 1,
+    totals: { raised: "0", refunded: "0", withdrawn: "0" },
+    funders: {},
+    epochs: [
+        {
+            index: 0,
+            startBlock: deploymentBlock,
+            endBlock: null,
+            raised: "0",
+            refunded: "0",
+            withdrawn: null,
+            withdrawnBy: null,
+            withdrawTransactionHash: null,
+            payouts: [],
+        },
+    ],
+    contributions: [],
+    refunds: [],
+    priceFeedChanges: [],
+})
+
+const add = (a, b) => ethers.BigNumber.from(a).add(b).toString()
+
+const currentEpoch = (ledger) => ledger.epochs[ledger.epochs.length - 1]
+
+/**
+ * Applies one parsed FundMe log to the ledger.
+ * Like `getCurrentEpoch` on chain, every withdrawal closes the current epoch
+ * and opens a new one.
+ */
+const applyLog = (ledger, log, parsed) => {
+    const epoch = currentEpoch(ledger)
+    const location = {
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+    }
+    switch (parsed.name) {
+        case "FundContribution": {
+            const funder = parsed.args.funder
+            const amount = parsed.args.amount.toString()
+            const record = ledger.funders[funder] || {
+                total: "0",
+                refunded: "0",
+                contributions: 0,
+                firstBlock: log.blockNumber,
+                lastBlock: log.blockNumber,
+            }
+            record.total = add(record.total, amount)
+            record.contributions += 1
+            record.lastBlock = log.blockNumber
+            ledger.funders[funder] = record
+            epoch.raised = add(epoch.raised, amount)
+            ledger.totals.raised = add(ledger.totals.raised, amount)
+            ledger.contributions.push({
+                epoch: epoch.index,
+                funder,
+                amount,
+                ...location,
+            })
+            break
+        }
+        case "Refunded": {
+            // Raised amounts stay gross; refunds are counted next to them
+            const funder = parsed.args.funder
+            const amount = parsed.args.amount.toString()
+            const record = ledger.funders[funder]
+            if (record) {
+                record.refunded = add(record.refunded, amount)
+                record.lastBlock = log.blockNumber
+            }
+            epoch.refunded = add(epoch.refunded, amount)
+            ledger.totals.refunded = add(ledger.totals.refunded, amount)
+            ledger.refunds.push({
+                epoch: epoch.index,
+                funder,
+                amount,
+                ...location,
+            })
+            break
+        }
+        case "FundsPaidOut":
+            // Emitted for each recipient before the FundsWithdrawn that closes the epoch
+            epoch.payouts.push({
+                recipient: parsed.args.recipient,
+                amount: parsed.args.amount.toString(),
+                ...location,
+            })
+            break
+        case "FundsWithdrawn": {
+            const amount = parsed.args.amount.toString()
+            epoch.endBlock = log.blockNumber
+            epoch.withdrawn = amount
+            epoch.withdrawnBy = parsed.args.owner
+            epoch.withdrawTransactionHash = log.transactionHash
+            ledger.totals.withdrawn = add(ledger.totals.withdrawn, amount)
+            ledger.epochs.push({
+                index: epoch.index + 1,
+                startBlock: log.blockNumber,
+                endBlock: null,
+                raised: "0",
+                refunded: "0",
+                withdrawn: null,
+                withdrawnBy: null,
+                withdrawTransactionHash: null,
+                payouts: [],
+            })
+            break
+        }
+        case "PriceFeedUpdated":
+            ledger.priceFeedChanges.push({
+                previousPriceFeed: parsed.args.previousPriceFeed,
+                newPriceFeed: parsed.args.newPriceFeed,
+                ...location,
+            })
+            break
+    }
+}
+
+const loadLedger = (file) =>
+    fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : undefined
+
+const saveLedger = (file, ledger) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    fs.writeFileSync(file, JSON.stringify(ledger, null, 2) + "\n")
+}
+
+/**
+ * Brings the ledger stored in `file` up to date with the chain.
+ * Resumes from the last indexed block unless `rebuild` is set or the file
+ * belongs to another deployment.
+ */
+const syncLedger = async (
+    hre,
+    {
+        file,
+        fromBlock,
+        toBlock,
+        chunkSize = DEFAULT_CHUNK_SIZE,
+        confirmations = 0,
+        rebuild = false,
+    }
+) => {
+    const { ethers: hreEthers, network } = hre
+    const fundMe = await hreEthers.getContract("FundMe")
+    const chainId = (await hreEthers.provider.getNetwork()).chainId
+
+    let ledger = rebuild ? undefined : loadLedger(file)
+    if (
+        ledger &&
+        (ledger.version !== LEDGER_VERSION ||
+            ledger.chainId !== chainId ||
+            ledger.address !== fundMe.address)
+    ) {
+        console.log(
+            `Ledger at ${file} belongs to another deployment, rebuilding it`
+        )
+        ledger = undefined
+    }
+    if (!ledger) {
+        const deploymentBlock =
+            fromBlock !== undefined ? fromBlock : await getDeploymentBlock(hre)
+        ledger = createLedger({
+            chainId,
+            network: network.name,
+            address: fundMe.address,
+            deploymentBlock,
+        })
+    }
+
+    const latestBlock =
+        (await hreEthers.provider.getBlockNumber()) - confirmations
+    const endBlock =
+        toBlock !== undefined ? Math.min(toBlock, latestBlock) : latestBlock
+    const startBlock = ledger.lastIndexedBlock + 1
+    if (startBlock > endBlock) {
+        console.log(
+            `Ledger already up to date at block ${ledger.lastIndexedBlock}`
+        )
+        return ledger
+    }
+
+    const topics = LEDGER_EVENTS.map((name) =>
+        fundMe.interface.getEventTopic(name)
+    )
+    // Saved after every chunk, so an interrupted sync resumes where it stopped
+    await getLogsInChunks(
+        hreEthers.provider,
+        { address: fundMe.address, topics: [topics] },
+        startBlock,
+        endBlock,
+        chunkSize,
+        (start, end, chunk) => {
+            for (const log of chunk) {
+                applyLog(ledger, log, fundMe.interface.parseLog(log))
+            }
+            ledger.lastIndexedBlock = end
+            saveLedger(file, ledger)
+            console.log(
+                `Scanned blocks ${start}-${end}: ${chunk.length} event(s)`
+            )
+        }
+    )
+    return ledger
+}
+
+module.exports = {
+    DEFAULT_CHUNK_SIZE,
+    LEDGER_EVENTS,
+    applyLog,
+    createLedger,
+    getDeploymentBlock,
+    getLogsInChunks,
+    loadLedger,
+    saveLedger,
+    syncLedger,
+}
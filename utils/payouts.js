@@ -0,0 +1,82 @@
+const fs = require("fs")
+const { ethers } = require("ethers")
+
+// FundMe.PAYOUT_BASIS_POINTS: shares are sent in basis points of 100%
+const PAYOUT_BASIS_POINTS = 10000
+
+const toBasisPoints = (percent, where) => {
+    const basisPoints = Math.round(Number(percent) * 100)
+    if (
+        typeof percent !== "number" ||
+        !(percent > 0) ||
+        Math.abs(percent * 100 - basisPoints) > 1e-9
+    ) {
+        throw new Error(
+            `${where} needs a positive "percent" with at most 2 decimals, got ${percent}`
+        )
+    }
+    return basisPoints
+}
+
+/**
+ * Reads a payout file:
+ * { "amount": "all" | "<ETH>", "recipients": [{ "address": "0x...", "percent": 60 }, ...] }
+ * The percentages must add up to 100.
+ * @returns {{amount: string, recipients: {address: string, percent: number, basisPoints: number}[]}}
+ */
+const readPayoutFile = (file) => {
+    const payout = JSON.parse(fs.readFileSync(file, "utf8"))
+    const amount = String(payout.amount || "all")
+    if (amount !== "all" && !/^\d+(\.\d+)?$/.test(amount)) {
+        throw new Error(
+            `${file} has an invalid "amount" "${amount}", expected "all" or an ETH amount`
+        )
+    }
+    if (!Array.isArray(payout.recipients) || payout.recipients.length === 0) {
+        throw new Error(`${file} needs a non-empty "recipients" list`)
+    }
+    const recipients = payout.recipients.map((recipient, index) => {
+        const where = `Recipient ${index} of ${file}`
+        if (!ethers.utils.isAddress(recipient.address || "")) {
+            throw new Error(
+                `${where} has an invalid address "${recipient.address}"`
+            )
+        }
+        return {
+            address: ethers.utils.getAddress(recipient.address),
+            percent: recipient.percent,
+            basisPoints: toBasisPoints(recipient.percent, where),
+        }
+    })
+    const total = recipients.reduce(
+        (sum, { basisPoints }) => sum + basisPoints,
+        0
+    )
+    if (total !== PAYOUT_BASIS_POINTS) {
+        throw new Error(
+            `The percentages in ${file} add up to ${total / 100}, not 100`
+        )
+    }
+    return { amount, recipients }
+}
+
+/**
+ * Splits `amount` between `recipients` the way `splitPayout` does: each
+ * gets its share rounded down and the last one gets the remainder.
+ * @param {ethers.BigNumber} amount
+ * @param {{basisPoints: number}[]} recipients
+ * @returns {ethers.BigNumber[]} The amount sent to each recipient.
+ */
+const splitAmount = (amount, recipients) => {
+    let remaining = amount
+    return recipients.map(({ basisPoints }, index) => {
+        const share =
+            index === recipients.length - 1
+                ? remaining
+                : amount.mul(basisPoints).div(PAYOUT_BASIS_POINTS)
+        remaining = remaining.sub(share)
+        return share
+    })
+}
+
+module.exports = { PAYOUT_BASIS_POINTS, readPayoutFile, splitAmount }
@@ -0,0 +1,161 @@
+const { ethers } = require("ethers")
+const {
+    developmentChainIds,
+    getMockPriceFeedConfig,
+    getNetworkConfig,
+} = require("../helper-hardhat-config")
+
+// Only the AggregatorV3Interface functions we need, so this works against any
+// deployed feed without relying on local artifacts.
+const AGGREGATOR_V3_ABI = [
+    "function decimals() view returns (uint8)",
+    "function description() view returns (string)",
+    "function version() view returns (uint256)",
+    "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+]
+
+const getPriceFeed = (address, signerOrProvider) =>
+    new ethers.Contract(address, AGGREGATOR_V3_ABI, signerOrProvider)
+
+/**
+ * Returns the decimals the current network's aggregator should answer with:
+ * the MockV3Aggregator's locally, `priceFeedDecimals` everywhere else.
+ * PriceConverter scales any decimals, so this only catches a misconfigured feed.
+ */
+const getExpectedPriceFeedDecimals = (chainId) =>
+    developmentChainIds.includes(chainId)
+        ? getMockPriceFeedConfig().decimals
+        : getNetworkConfig(chainId).priceFeedDecimals
+
+/**
+ * Returns the ETH/USD aggregator address configured for the current network:
+ * the MockV3Aggregator deployment locally, `getNetworkConfig` everywhere else.
+ */
+const getConfiguredPriceFeedAddress = async (hre) => {
+    const chainId = hre.network.config.chainId
+    if (developmentChainIds.includes(chainId)) {
+        return (await hre.deployments.get("MockV3Aggregator")).address
+    }
+    return getNetworkConfig(chainId).ethUsdPriceFeed
+}
+
+const isEthUsdDescription = (description) =>
+    /^\s*ETH\s*\/\s*USD\s*$/i.test(description)
+
+/**
+ * Reads `decimals()`, `latestRoundData()`, `version()` and `description()`
+ * from an aggregator and lists everything that would break FundMe's
+ * USD conversion.
+ * @param {ethers.Contract} priceFeed The aggregator to check.
+ * @param {object} options
+ * @param {number} options.expectedDecimals Decimals the feed is configured with.
+ * @param {number} [options.maxStaleness] Oldest acceptable `updatedAt`, in seconds.
+ * @param {boolean} [options.checkDescription] Whether to require an ETH/USD pair.
+ * @returns {Promise<{report: object, problems: string[]}>}
+ */
+const checkPriceFeed = async (
+    priceFeed,
+    { expectedDecimals, maxStaleness, checkDescription = true }
+) => {
+    const code = await priceFeed.provider.getCode(priceFeed.address)
+    if (code === "0x") {
+        return {
+            report: { address: priceFeed.address },
+            problems: [`no contract deployed at ${priceFeed.address}`],
+        }
+    }
+    const [decimals, roundData, version, description, latestBlock] =
+        await Promise.all([
+            priceFeed.decimals(),
+            priceFeed.latestRoundData(),
+            priceFeed.version(),
+            priceFeed.description(),
+            priceFeed.provider.getBlock("latest"),
+        ])
+    const age = latestBlock.timestamp - roundData.updatedAt.toNumber()
+    const report = {
+        address: priceFeed.address,
+        description,
+        version: version.toString(),
+        decimals,
+        roundId: roundData.roundId.toString(),
+        answer: roundData.answer.toString(),
+        price: ethers.utils.formatUnits(roundData.answer, decimals),
+        updatedAt: roundData.updatedAt.toNumber(),
+        age,
+    }
+
+    const problems = []
+    if (decimals !== expectedDecimals) {
+        problems.push(`decimals() is ${decimals}, expected ${expectedDecimals}`)
+    }
+    if (roundData.answer.lte(0)) {
+        problems.push(`latest answer ${roundData.answer} is not positive`)
+    }
+    if (roundData.answeredInRound.lt(roundData.roundId)) {
+        problems.push(
+            `latest round ${roundData.roundId} was answered in round ${roundData.answeredInRound}`
+        )
+    }
+    if (maxStaleness !== undefined && age > maxStaleness) {
+        problems.push(
+            `latest answer is ${age}s old, older than the ${maxStaleness}s staleness window`
+        )
+    }
+    if (checkDescription && !isEthUsdDescription(description)) {
+        problems.push(`description() "${description}" is not an ETH/USD pair`)
+    }
+    return { report, problems }
+}
+
+const formatPriceFeedReport = ({ report, problems }) => {
+    const lines = [`Price feed ${report.address}`]
+    if (report.description !== undefined) {
+        lines.push(
+            `  Description: ${report.description}`,
+            `  Version: ${report.version}`,
+            `  Decimals: ${report.decimals}`,
+            `  Latest round: ${report.roundId}`,
+            `  Price: ${report.price} (answer ${report.answer})`,
+            `  Updated: ${new Date(report.updatedAt * 1000).toISOString()} (${
+                report.age
+            }s ago)`
+        )
+    }
+    if (problems.length === 0) {
+        lines.push("  Sanity check passed")
+    } else {
+        lines.push("  Sanity check failed:")
+        problems.forEach((problem) => lines.push(`    - ${problem}`))
+    }
+    return lines.join("\n")
+}
+
+/**
+ * Converts a USD amount into wei using the latest answer of `priceFeed`.
+ * Rounds up so the result never falls short of the requested USD value.
+ * @param {ethers.Contract} priceFeed An ETH/USD aggregator.
+ * @param {string} usdAmount e.g. "50" or "12.5".
+ */
+const usdToWei = async (priceFeed, usdAmount) => {
+    const decimals = await priceFeed.decimals()
+    const { answer } = await priceFeed.latestRoundData()
+    if (answer.lte(0)) {
+        throw new Error(`Price feed returned a non-positive answer: ${answer}`)
+    }
+    return ethers.utils
+        .parseUnits(usdAmount, 18)
+        .mul(ethers.BigNumber.from(10).pow(decimals))
+        .add(answer.sub(1))
+        .div(answer)
+}
+
+module.exports = {
+    AGGREGATOR_V3_ABI,
+    checkPriceFeed,
+    formatPriceFeedReport,
+    getConfiguredPriceFeedAddress,
+    getExpectedPriceFeedDecimals,
+    getPriceFeed,
+    usdToWei,
+}
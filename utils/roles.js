@@ -0,0 +1,47 @@
+// Role names used by the tasks, and the FundMe constant holding each role id
+const ROLES = {
+    treasurer: "TREASURER_ROLE",
+    "feed-admin": "FEED_ADMIN_ROLE",
+    guardian: "GUARDIAN_ROLE",
+}
+
+/**
+ * Returns the role id (a bytes32) of a role name from `ROLES`.
+ * @param {ethers.Contract} fundMe The FundMe contract.
+ * @param {string} name e.g. "treasurer".
+ */
+const getRoleId = async (fundMe, name) => {
+    const constant = ROLES[name]
+    if (!constant) {
+        throw new Error(
+            `Unknown role "${name}", expected one of ${Object.keys(ROLES).join(
+                ", "
+            )}`
+        )
+    }
+    return fundMe[constant]()
+}
+
+/**
+ * Returns the owner, the pending owner and the role names `account` holds.
+ * The owner holds every role.
+ * @param {ethers.Contract} fundMe The FundMe contract.
+ * @param {string} account The address to inspect.
+ */
+const readRoles = async (fundMe, account) => {
+    const names = Object.keys(ROLES)
+    const [owner, pendingOwner, ...held] = await Promise.all([
+        fundMe.getOwner(),
+        fundMe.getPendingOwner(),
+        ...names.map(async (name) =>
+            fundMe.hasRole(await getRoleId(fundMe, name), account)
+        ),
+    ])
+    return {
+        owner,
+        pendingOwner,
+        roles: names.filter((name, index) => held[index]),
+    }
+}
+
+module.exports = { ROLES, getRoleId, readRoles }
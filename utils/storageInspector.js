@@ -0,0 +1,382 @@
+const { ethers } = require("ethers")
+
+/**
+ * Loads the storage layout, immutable references and AST the compiler
+ * produced for `fullyQualifiedName`, e.g. "contracts/FundMe.sol:FundMe".
+ * Needs `storageLayout` in the compiler outputSelection (see hardhat.config.js).
+ */
+const getCompilerLayout = async (hre, fullyQualifiedName) => {
+    const [sourceName, contractName] = fullyQualifiedName.split(":")
+    const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName)
+    if (!buildInfo) {
+        throw new Error(
+            `No build info for ${fullyQualifiedName}, run \`hardhat compile\``
+        )
+    }
+    const output = buildInfo.output.contracts[sourceName][contractName]
+    if (!output.storageLayout) {
+        throw new Error(
+            `No storage layout for ${fullyQualifiedName}, run \`hardhat compile --force\``
+        )
+    }
+    return {
+        storageLayout: output.storageLayout,
+        immutableReferences:
+            output.evm.deployedBytecode.immutableReferences || {},
+        ast: buildInfo.output.sources[sourceName].ast,
+    }
+}
+
+const findDeclarations = (node, ids, found = {}) => {
+    if (Array.isArray(node)) {
+        node.forEach((child) => findDeclarations(child, ids, found))
+    } else if (node && typeof node === "object") {
+        if (
+            node.nodeType === "VariableDeclaration" &&
+            ids.includes(String(node.id))
+        ) {
+            found[node.id] = node
+        }
+        Object.values(node).forEach((child) =>
+            findDeclarations(child, ids, found)
+        )
+    }
+    return found
+}
+
+/**
+ * Returns the values of `bytes32 constant X = keccak256("...")` declarations,
+ * e.g. role ids, which storage mappings are often keyed by.
+ */
+const findHashedConstants = (node, found = []) => {
+    if (Array.isArray(node)) {
+        node.forEach((child) => findHashedConstants(child, found))
+    } else if (node && typeof node === "object") {
+        const { value } = node
+        if (
+            node.nodeType === "VariableDeclaration" &&
+            node.constant &&
+            node.typeDescriptions.typeString === "bytes32" &&
+            value &&
+            value.nodeType === "FunctionCall" &&
+            value.expression.name === "keccak256" &&
+            value.arguments.length === 1 &&
+            value.arguments[0].nodeType === "Literal" &&
+            value.arguments[0].kind === "string"
+        ) {
+            found.push(ethers.utils.id(value.arguments[0].value))
+        }
+        Object.values(node).forEach((child) =>
+            findHashedConstants(child, found)
+        )
+    }
+    return found
+}
+
+const toSlot = (value) => ethers.BigNumber.from(value)
+
+const hexSlot = (slot) =>
+    ethers.utils.hexZeroPad(toSlot(slot).toHexString(), 32)
+
+/**
+ * Decodes a value type stored in `word` (a 32 byte hex string) at `offset`
+ * bytes from the right, as solc packs it.
+ */
+const decodeWord = (word, offset, type) => {
+    const bytes = ethers.utils.arrayify(word)
+    const size = Number(type.numberOfBytes)
+    const slice = bytes.slice(32 - offset - size, 32 - offset)
+    const hex = ethers.utils.hexlify(slice)
+    const label = type.label
+    if (
+        label === "address" ||
+        label === "address payable" ||
+        label.startsWith("contract ")
+    ) {
+        return ethers.utils.getAddress(hex)
+    }
+    if (label === "bool") return hex !== "0x00"
+    if (label.startsWith("uint") || label.startsWith("enum ")) {
+        return ethers.BigNumber.from(hex).toString()
+    }
+    if (label.startsWith("int")) {
+        return ethers.BigNumber.from(hex)
+            .fromTwos(size * 8)
+            .toString()
+    }
+    return hex
+}
+
+const createReader = (provider, address, blockTag) => {
+    const cache = new Map()
+    return async (slot) => {
+        const key = hexSlot(slot)
+        if (!cache.has(key)) {
+            cache.set(key, await provider.getStorageAt(address, key, blockTag))
+        }
+        return cache.get(key)
+    }
+}
+
+/**
+ * Decodes `storageLayout` for the contract at `address`. Dynamic arrays are
+ * expanded up to `maxElements`. Mappings, nested ones included, are read for
+ * the keys the contract's own state suggests:
+ * - address keys: every address stored in the contract, plus `keys`
+ * - uint256 keys: the integers stored in its arrays (ids, e.g.
+ *   `pendingActionIds`), and `0..value` of each variable in `ranges`
+ * - bytes32 keys: `hashes`, e.g. role ids
+ * @returns {Promise<Array<{name: string, type: string, slot: string, offset: number, value: string}>>}
+ */
+const decodeStorage = async (
+    provider,
+    address,
+    storageLayout,
+    {
+        keys = [],
+        ranges = [],
+        hashes = [],
+        maxElements = 100,
+        blockTag = "latest",
+    } = {}
+) => {
+    const { types } = storageLayout
+    const read = createReader(provider, address, blockTag)
+    const rows = []
+    const knownAddresses = new Set(
+        keys.map((key) => ethers.utils.getAddress(key))
+    )
+    const knownIntegers = new Set()
+    const pendingMappings = []
+
+    const decodeAt = async (name, typeKey, slot, offset) => {
+        const type = types[typeKey]
+        const row = (value) =>
+            rows.push({
+                name,
+                type: type.label,
+                slot: hexSlot(slot),
+                offset,
+                value,
+            })
+
+        switch (type.encoding) {
+            case "inplace": {
+                if (type.members) {
+                    for (const member of type.members) {
+                        await decodeAt(
+                            `${name}.${member.label}`,
+                            member.type,
+                            toSlot(slot).add(member.slot),
+                            member.offset
+                        )
+                    }
+                    return
+                }
+                if (type.base) {
+                    // Fixed size arrays are laid out like structs of their base type
+                    const length = Number(/\[(\d+)\]$/.exec(type.label)[1])
+                    await decodeArray(name, type.base, toSlot(slot), length)
+                    return
+                }
+                const value = decodeWord(await read(slot), offset, type)
+                if (
+                    type.label === "address" &&
+                    value !== ethers.constants.AddressZero
+                ) {
+                    knownAddresses.add(value)
+                } else if (type.label === "uint256" && name.endsWith("]")) {
+                    // Integers held in arrays are ids, e.g. pendingActionIds
+                    knownIntegers.add(value)
+                }
+                row(value)
+                return
+            }
+            case "dynamic_array": {
+                const length = toSlot(await read(slot)).toNumber()
+                row(`length ${length}`)
+                const base = toSlot(ethers.utils.keccak256(hexSlot(slot)))
+                await decodeArray(
+                    name,
+                    type.base,
+                    base,
+                    Math.min(length, maxElements)
+                )
+                return
+            }
+            case "mapping":
+                row("mapping")
+                pendingMappings.push({ name, type, slot })
+                return
+            case "bytes": {
+                const word = await read(slot)
+                const last = ethers.BigNumber.from(word).and(1)
+                row(
+                    last.isZero()
+                        ? `short value ${word}`
+                        : "long value (not decoded)"
+                )
+                return
+            }
+        }
+    }
+
+    const decodeArray = async (name, baseKey, baseSlot, length) => {
+        const baseSize = Number(types[baseKey].numberOfBytes)
+        const perSlot = baseSize <= 16 ? Math.floor(32 / baseSize) : 1
+        const slotsPerItem = Math.ceil(baseSize / 32)
+        for (let i = 0; i < length; i++) {
+            const slot = baseSlot.add(Math.floor(i / perSlot) * slotsPerItem)
+            await decodeAt(
+                `${name}[${i}]`,
+                baseKey,
+                slot,
+                (i % perSlot) * baseSize
+            )
+        }
+    }
+
+    for (const variable of storageLayout.storage) {
+        await decodeAt(
+            variable.label,
+            variable.type,
+            variable.slot,
+            variable.offset
+        )
+    }
+
+    // Mappings last, once every key stored in the contract is known
+    for (const variable of ranges) {
+        const found = rows.find(({ name }) => name === variable)
+        if (!found) continue
+        for (let i = 0; i <= Number(found.value); i++) {
+            knownIntegers.add(String(i))
+        }
+    }
+    const knownKeys = {
+        address: [...knownAddresses],
+        uint256: [...knownIntegers].sort((a, b) => a - b),
+        bytes32: hashes,
+    }
+    const decodeMapping = async (name, type, slot) => {
+        const keyLabel = types[type.key].label
+        for (const key of knownKeys[keyLabel] || []) {
+            const entrySlot = ethers.utils.keccak256(
+                ethers.utils.defaultAbiCoder.encode(
+                    [keyLabel, "uint256"],
+                    [key, slot]
+                )
+            )
+            const entryName = `${name}[${key}]`
+            const valueType = types[type.value]
+            if (valueType.encoding === "mapping") {
+                await decodeMapping(entryName, valueType, entrySlot)
+            } else {
+                await decodeAt(entryName, type.value, entrySlot, 0)
+            }
+        }
+    }
+    for (const { name, type, slot } of pendingMappings) {
+        await decodeMapping(name, type, slot)
+    }
+    return rows
+}
+
+// Immutables always take a full word in the bytecode, right aligned
+const immutableSize = (label) => {
+    if (label.startsWith("address") || label.startsWith("contract ")) return 20
+    if (label === "bool") return 1
+    return 32
+}
+
+/**
+ * Reads immutables from the runtime bytecode at `address`, using the
+ * compiler's immutableReferences to locate them.
+ */
+const decodeImmutables = async (
+    provider,
+    address,
+    immutableReferences,
+    ast,
+    blockTag = "latest"
+) => {
+    const code = ethers.utils.arrayify(
+        await provider.getCode(address, blockTag)
+    )
+    const ids = Object.keys(immutableReferences)
+    const declarations = findDeclarations(ast, ids)
+    return ids.map((id) => {
+        const { start, length } = immutableReferences[id][0]
+        const declaration = declarations[id]
+        const label = declaration
+            ? declaration.typeDescriptions.typeString
+            : "bytes32"
+        const word = ethers.utils.hexlify(code.slice(start, start + length))
+        return {
+            name: declaration ? declaration.name : `immutable #${id}`,
+            type: label,
+            slot: `bytecode[${start}]`,
+            offset: 0,
+            value: decodeWord(word, 0, {
+                label,
+                numberOfBytes: immutableSize(label),
+            }),
+        }
+    })
+}
+
+/**
+ * Decodes the storage and immutables of a deployed contract.
+ * @param {object} hre The Hardhat runtime environment.
+ * @param {string} address The deployed contract.
+ * @param {object} options
+ * @param {string} [options.contract] Fully qualified name of the compiled contract.
+ * @param {string[]} [options.keys] Extra addresses to look up in mappings,
+ * besides the addresses stored in the contract and Hardhat's accounts.
+ * @param {string[]} [options.ranges] Variables whose `0..value` are looked
+ * up in mappings keyed by uint256, by default FundMe's `currentEpoch`.
+ * @param {number} [options.maxElements] Maximum number of array elements read.
+ * @param {number|string} [options.blockTag] Block to read the state at.
+ */
+const inspectStorage = async (
+    hre,
+    address,
+    {
+        contract = "contracts/FundMe.sol:FundMe",
+        keys = [],
+        ranges = ["currentEpoch"],
+        maxElements,
+        blockTag = "latest",
+    } = {}
+) => {
+    const { storageLayout, immutableReferences, ast } = await getCompilerLayout(
+        hre,
+        contract
+    )
+    const provider = hre.ethers.provider
+    const immutables = await decodeImmutables(
+        provider,
+        address,
+        immutableReferences,
+        ast,
+        blockTag
+    )
+    // Accounts that only appear as mapping keys, e.g. role members, can only
+    // be found by trying them
+    const accounts = await provider.listAccounts()
+    const storage = await decodeStorage(provider, address, storageLayout, {
+        keys: [...keys, ...accounts],
+        ranges,
+        hashes: findHashedConstants(ast),
+        maxElements,
+        blockTag,
+    })
+    return { address, contract, blockTag, immutables, storage }
+}
+
+module.exports = {
+    decodeImmutables,
+    decodeStorage,
+    getCompilerLayout,
+    inspectStorage,
+}
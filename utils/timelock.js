@@ -0,0 +1,88 @@
+const { ethers } = require("ethers")
+const { sendTransaction } = require("./transactions")
+
+// FundMe.ActionStatus
+const ACTION_STATUSES = ["None", "Queued", "Executed", "Cancelled"]
+
+const formatArg = (value, input) => {
+    if (Array.isArray(value)) {
+        return `[${value
+            .map((item) => formatArg(item, input.arrayChildren))
+            .join(", ")}]`
+    }
+    if (input.name === "amount") return `${ethers.utils.formatEther(value)} ETH`
+    return value.toString()
+}
+
+/**
+ * Describes an ABI encoded FundMe call, e.g. "withdraw(1.0 ETH)". queueAction
+ * only checks the selector, so data that does not decode is described raw.
+ * @param {ethers.Contract} fundMe The FundMe contract.
+ * @param {string} data The call, selector included.
+ */
+const describeAction = (fundMe, data) => {
+    let call
+    try {
+        call = fundMe.interface.parseTransaction({ data })
+    } catch (error) {
+        const selector = ethers.utils.hexDataSlice(data, 0, 4)
+        return `${selector} with undecodable data ${data}`
+    }
+    const args = call.functionFragment.inputs.map((input, index) =>
+        formatArg(call.args[index], input)
+    )
+    return `${call.name}(${args.join(", ")})`
+}
+
+/**
+ * Reads queued actions by id.
+ * @param {ethers.Contract} fundMe The FundMe contract.
+ * @param {(number|ethers.BigNumber)[]} ids
+ */
+const readActions = (fundMe, ids) =>
+    Promise.all(
+        ids.map(async (id) => {
+            const action = await fundMe.getAction(id)
+            return {
+                id: Number(id),
+                proposer: action.proposer,
+                data: action.data,
+                description: describeAction(fundMe, action.data),
+                eta: action.eta.toNumber(),
+                status: ACTION_STATUSES[action.status],
+            }
+        })
+    )
+
+/**
+ * Calls `method` on FundMe, or queues the call when FundMe has a timelock
+ * and prints when it can be executed.
+ * @param {ethers.Contract} fundMe The FundMe contract, connected to the sender.
+ * @param {string} method e.g. "withdraw".
+ * @param {any[]} args The call's arguments.
+ */
+const sendOrQueue = async (fundMe, method, args) => {
+    const delay = await fundMe.getTimelockDelay()
+    if (delay.isZero()) {
+        return sendTransaction(() => fundMe[method](...args))
+    }
+    const data = fundMe.interface.encodeFunctionData(method, args)
+    console.log(
+        `FundMe has a ${delay}s timelock, queueing ${describeAction(
+            fundMe,
+            data
+        )}...`
+    )
+    const receipt = await sendTransaction(() => fundMe.queueAction(data))
+    const { id, eta } = receipt.events.find(
+        ({ event }) => event === "ActionQueued"
+    ).args
+    console.log(
+        `Queued as action ${id}, executable from ${new Date(
+            eta.toNumber() * 1000
+        ).toISOString()} with \`hardhat queue --execute ${id}\``
+    )
+    return receipt
+}
+
+module.exports = { ACTION_STATUSES, describeAction, readActions, sendOrQueue }
@@ -0,0 +1,66 @@
+const { ethers } = require("ethers")
+
+/**
+ * Extracts a human readable revert reason from an ethers error.
+ */
+const getRevertReason = (error) => {
+    const message =
+        error.reason || (error.error && error.error.message) || error.message
+    const match = /reverted with reason string '(.*)'/.exec(message)
+    return match ? match[1] : message
+}
+
+const formatEventArg = (value) =>
+    ethers.BigNumber.isBigNumber(value) ? value.toString() : String(value)
+
+/**
+ * Prints the receipt, gas cost and decoded events of a mined transaction.
+ */
+const printReceipt = (receipt) => {
+    const gasCost = ethers.utils.formatEther(
+        receipt.gasUsed.mul(receipt.effectiveGasPrice)
+    )
+    const gasPrice = ethers.utils.formatUnits(receipt.effectiveGasPrice, "gwei")
+    console.log(`Mined in block ${receipt.blockNumber}`)
+    console.log(`  Transaction: ${receipt.transactionHash}`)
+    console.log(`  Status: ${receipt.status === 1 ? "success" : "reverted"}`)
+    console.log(`  Gas used: ${receipt.gasUsed.toString()}`)
+    console.log(`  Gas cost: ${gasCost} ETH (${gasPrice} gwei)`)
+    const events = (receipt.events || []).filter((event) => event.event)
+    if (events.length === 0) {
+        console.log("  Events: none")
+        return
+    }
+    console.log("  Events:")
+    for (const event of events) {
+        // Contract receipts carry the decoded `args` but no event fragment
+        const args = Object.keys(event.args)
+            .filter((key) => Number.isNaN(Number(key)))
+            .map((key) => `${key}: ${formatEventArg(event.args[key])}`)
+        console.log(`    ${event.event}(${args.join(", ")})`)
+    }
+}
+
+/**
+ * Sends a transaction, waits for it to be mined and prints the result.
+ * Throws with the revert reason if the transaction fails, so the calling
+ * task exits with a non-zero status.
+ * @param {() => Promise<ethers.providers.TransactionResponse>} send
+ * @param {number} confirmations Number of blocks to wait for.
+ */
+const sendTransaction = async (send, confirmations = 1) => {
+    let receipt
+    try {
+        const transactionResponse = await send()
+        console.log(
+            `Sent ${transactionResponse.hash}, waiting for ${confirmations} confirmation(s)...`
+        )
+        receipt = await transactionResponse.wait(confirmations)
+    } catch (error) {
+        throw new Error(`Transaction reverted: ${getRevertReason(error)}`)
+    }
+    printReceipt(receipt)
+    return receipt
+}
+
+module.exports = { getRevertReason, printReceipt, sendTransaction }